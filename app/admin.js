@@ -0,0 +1,115 @@
+// admin.js - Login sessions for the admin dashboard
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'opencsat_admin';
+
+// Cookies whose value is not valid percent-encoding are skipped, so they read as logged out
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (e) {
+        continue;
+      }
+    }
+  }
+  return cookies;
+}
+
+function safeEqual(a, b) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// Sessions are stateless signed cookies: "<username>.<expires>.<hmac>"
+class AdminAuth {
+  constructor(options = {}) {
+    this.username = options.username || process.env.ADMIN_USERNAME;
+    this.password = options.password || process.env.ADMIN_PASSWORD;
+    // Without a configured secret, sessions end when the app restarts
+    this.sessionSecret = options.sessionSecret || process.env.ADMIN_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+    this.sessionTtlMs = options.sessionTtlMs || (parseInt(process.env.ADMIN_SESSION_HOURS) || 8) * 60 * 60 * 1000;
+    this.secureCookie = options.secureCookie !== undefined ? options.secureCookie : process.env.NODE_ENV === 'production';
+  }
+
+  isConfigured() {
+    return !!(this.username && this.password);
+  }
+
+  checkCredentials(username, password) {
+    if (!this.isConfigured() || !username || !password) return false;
+    // Compare both so a wrong username takes as long as a wrong password
+    const usernameOk = safeEqual(username, this.username);
+    const passwordOk = safeEqual(password, this.password);
+    return usernameOk && passwordOk;
+  }
+
+  sign(value) {
+    return crypto.createHmac('sha256', this.sessionSecret).update(value).digest('hex');
+  }
+
+  createSession(username) {
+    const payload = `${Buffer.from(username).toString('base64url')}.${Date.now() + this.sessionTtlMs}`;
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // Returns the session's username, or null when missing, tampered with or expired
+  verifySession(cookieHeader) {
+    const session = parseCookies(cookieHeader)[COOKIE_NAME];
+    if (!session) return null;
+
+    const [user, expires, signature] = session.split('.');
+    if (!user || !expires || !signature) return null;
+    if (!safeEqual(signature, this.sign(`${user}.${expires}`))) return null;
+    if (Number(expires) < Date.now()) return null;
+
+    return Buffer.from(user, 'base64url').toString();
+  }
+
+  sessionCookie(value, maxAgeMs) {
+    const attributes = [
+      `${COOKIE_NAME}=${encodeURIComponent(value)}`,
+      'Path=/admin',
+      'HttpOnly',
+      'SameSite=Strict',
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+    ];
+    if (this.secureCookie) attributes.push('Secure');
+    return attributes.join('; ');
+  }
+
+  login(res, username) {
+    res.setHeader('Set-Cookie', this.sessionCookie(this.createSession(username), this.sessionTtlMs));
+  }
+
+  logout(res) {
+    res.setHeader('Set-Cookie', this.sessionCookie('', 0));
+  }
+
+  // Express middleware: pages redirect to the login form, API calls get 401
+  middleware() {
+    return (req, res, next) => {
+      const user = this.verifySession(req.headers.cookie);
+      if (user) {
+        req.adminUser = user;
+        return next();
+      }
+      if (req.originalUrl.startsWith('/admin/api/')) {
+        return res.status(401).json({
+          error: 'Login required',
+          code: 'UNAUTHORIZED',
+          timestamp: new Date().toISOString()
+        });
+      }
+      res.redirect('/admin/login');
+    };
+  }
+}
+
+module.exports = {
+  COOKIE_NAME,
+  AdminAuth
+};
@@ -0,0 +1,522 @@
+// alerts.js - Low-score alert rules posted to Slack or Microsoft Teams, held back during quiet hours
+const axios = require('axios');
+const { CONDITION_OPERATORS, conditionHolds } = require('./questions');
+const { parseResponses } = require('./reporting');
+const { Sweep, nextRetryAt, isDue } = require('./scheduler');
+
+const CHANNELS = ['slack', 'teams'];
+
+// Alerts are sent in one card per rule; more than this are summarised as "and N more"
+const MAX_ALERTS_PER_CARD = 10;
+
+// Minutes to wait before each retry of a failed post
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+function alertError(message, code, status, errors) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// condition uses the show_if format, with "overall_rating" usable as a question id:
+//   { "question": "overall_rating", "lte": 2 } or a list of conditions that must all hold
+function conditionErrors(condition, path) {
+  const conditions = Array.isArray(condition) ? condition : [condition];
+  if (conditions.length === 0) return [{ path, message: 'Must have at least one condition' }];
+
+  const errors = [];
+  conditions.forEach((c, i) => {
+    const itemPath = Array.isArray(condition) ? `${path}[${i}]` : path;
+    if (!c || typeof c !== 'object' || Array.isArray(c)) {
+      errors.push({ path: itemPath, message: 'Condition must be an object' });
+      return;
+    }
+    if (typeof c.question !== 'string' || !/^[a-zA-Z0-9_]{1,50}$/.test(c.question)) {
+      errors.push({ path: `${itemPath}.question`, message: 'Must be a question id or overall_rating' });
+    }
+    const operators = Object.keys(c).filter(key => key !== 'question');
+    if (operators.length !== 1 || !CONDITION_OPERATORS.includes(operators[0])) {
+      errors.push({ path: itemPath, message: `Condition needs exactly one of: ${CONDITION_OPERATORS.join(', ')}` });
+    } else if (operators[0] === 'in' && !Array.isArray(c.in)) {
+      errors.push({ path: `${itemPath}.in`, message: 'Must be a list of values' });
+    }
+  });
+  return errors;
+}
+
+// "HH:MM-HH:MM" in the rule's time zone; the range may cross midnight
+function parseQuietHours(value) {
+  const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => Number(h) * 60 + Number(m));
+  if (start >= 24 * 60 || end >= 24 * 60 || Number(match[2]) > 59 || Number(match[4]) > 59 || start === end) return null;
+  return { start, end };
+}
+
+// Check a rule body: { name, condition, companies, channel, webhook_url, quiet_hours, timezone, is_active };
+// `partial` allows leaving fields out
+function validateRule(body = {}, partial = false) {
+  const rule = {};
+  const errors = [];
+  const check = key => body[key] !== undefined || !partial;
+
+  if (check('name')) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+      errors.push({ path: 'name', message: 'Must be 1-100 characters' });
+    } else {
+      rule.Name = body.name.trim();
+    }
+  }
+  if (check('condition')) {
+    const conditionErrorList = conditionErrors(body.condition, 'condition');
+    errors.push(...conditionErrorList);
+    if (conditionErrorList.length === 0) rule.condition = JSON.stringify(body.condition);
+  }
+  if (body.companies !== undefined) {
+    if (!Array.isArray(body.companies) || body.companies.some(c => typeof c !== 'string' || !c.trim())) {
+      errors.push({ path: 'companies', message: 'Must be a list of company names; empty for every company' });
+    } else {
+      rule.companies = JSON.stringify(body.companies.map(c => c.trim()));
+    }
+  }
+  if (check('channel')) {
+    if (!CHANNELS.includes(body.channel)) {
+      errors.push({ path: 'channel', message: `Must be one of: ${CHANNELS.join(', ')}` });
+    } else {
+      rule.channel = body.channel;
+    }
+  }
+  if (check('webhook_url')) {
+    let url = null;
+    try {
+      url = new URL(body.webhook_url);
+    } catch (e) {
+      // reported below
+    }
+    if (!url || url.protocol !== 'https:') {
+      errors.push({ path: 'webhook_url', message: 'Must be the https URL of an incoming webhook' });
+    } else {
+      rule.webhook_url = url.toString();
+    }
+  }
+  if (body.quiet_hours !== undefined) {
+    if (body.quiet_hours !== null && body.quiet_hours !== '' && !parseQuietHours(body.quiet_hours)) {
+      errors.push({ path: 'quiet_hours', message: 'Must be "HH:MM-HH:MM", or empty for none' });
+    } else {
+      rule.quiet_hours = body.quiet_hours || '';
+    }
+  }
+  if (body.timezone !== undefined) {
+    if (typeof body.timezone !== 'string' || !isTimeZone(body.timezone)) {
+      errors.push({ path: 'timezone', message: 'Must be an IANA time zone such as Europe/London' });
+    } else {
+      rule.timezone = body.timezone;
+    }
+  }
+  if (body.is_active !== undefined) {
+    if (typeof body.is_active !== 'boolean') {
+      errors.push({ path: 'is_active', message: 'Must be true or false' });
+    } else {
+      rule.is_active = body.is_active;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw alertError('Alert rule is invalid', 'INVALID_ALERT_RULE', 422, errors);
+  }
+  return rule;
+}
+
+function toRule(record) {
+  const fields = record.fields || {};
+  return {
+    id: record.id,
+    name: fields.Name || '',
+    condition: parseJson(fields.condition, null),
+    companies: parseJson(fields.companies, []),
+    channel: fields.channel || '',
+    webhook_url: fields.webhook_url || '',
+    quiet_hours: fields.quiet_hours || '',
+    timezone: fields.timezone || '',
+    is_active: !!fields.is_active,
+    created_at: fields.created_at || null
+  };
+}
+
+function ruleMatches(rule, fields, answers) {
+  if (rule.companies.length > 0) {
+    const company = String(fields.company_name || '').trim().toLowerCase();
+    if (!rule.companies.some(c => c.trim().toLowerCase() === company)) return false;
+  }
+
+  const values = { ...answers, overall_rating: fields.overall_rating };
+  const conditions = Array.isArray(rule.condition) ? rule.condition : [rule.condition];
+  return conditions.every(condition => conditionHolds(condition, values));
+}
+
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+// Minutes until the rule's quiet hours end, or 0 outside them
+function quietMinutesLeft(rule, now = new Date()) {
+  const quiet = parseQuietHours(rule.quiet_hours);
+  if (!quiet) return 0;
+
+  const minutes = localMinutes(now, rule.timezone || process.env.ALERT_TIMEZONE || 'UTC');
+  const inQuiet = quiet.start < quiet.end
+    ? minutes >= quiet.start && minutes < quiet.end
+    : minutes >= quiet.start || minutes < quiet.end;
+  return inQuiet ? (quiet.end - minutes + 24 * 60) % (24 * 60) : 0;
+}
+
+function alertData(recordId, fields) {
+  return {
+    survey_response_id: recordId,
+    ticket_external_id: fields.ticket_external_id || '',
+    ticket_subject: fields.ticket_subject || '',
+    technician_name: fields.technician_name || '',
+    company_name: fields.company_name || '',
+    customer_name: fields.customer_name || '',
+    overall_rating: fields.overall_rating ?? null,
+    comments: String(fields.comments || '').trim(),
+    submitted_at: fields.submitted_at || new Date().toISOString()
+  };
+}
+
+function alertTitle(alert) {
+  return `#${alert.ticket_external_id}${alert.ticket_subject ? ` ${alert.ticket_subject}` : ''}`;
+}
+
+function slackText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function slackCard(rule, alerts, dashboardUrl) {
+  const shown = alerts.slice(0, MAX_ALERTS_PER_CARD);
+  const blocks = [{
+    type: 'header',
+    text: { type: 'plain_text', text: alerts.length === 1 ? `Low CSAT score: ${rule.name}` : `${alerts.length} low CSAT scores: ${rule.name}` }
+  }];
+
+  for (const alert of shown) {
+    blocks.push({ type: 'divider' }, {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${slackText(alertTitle(alert))}*\n${alert.comments ? `> ${slackText(alert.comments).replace(/\n/g, '\n> ')}` : '_No comment_'}` },
+      fields: [
+        { type: 'mrkdwn', text: `*Rating*\n${alert.overall_rating ?? '–'}` },
+        { type: 'mrkdwn', text: `*Technician*\n${slackText(alert.technician_name || '–')}` },
+        { type: 'mrkdwn', text: `*Company*\n${slackText(alert.company_name || '–')}` },
+        { type: 'mrkdwn', text: `*Customer*\n${slackText(alert.customer_name || '–')}` }
+      ]
+    });
+  }
+  if (alerts.length > shown.length) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${alerts.length - shown.length} more` }] });
+  }
+  if (dashboardUrl) {
+    blocks.push({
+      type: 'actions',
+      elements: [{ type: 'button', text: { type: 'plain_text', text: 'Open dashboard' }, url: dashboardUrl }]
+    });
+  }
+
+  return { text: `Low CSAT score alert: ${rule.name}`, blocks };
+}
+
+// Adaptive Card, accepted by Teams incoming webhooks and Workflows webhooks
+function teamsCard(rule, alerts, dashboardUrl) {
+  const shown = alerts.slice(0, MAX_ALERTS_PER_CARD);
+  const body = [{
+    type: 'TextBlock',
+    size: 'Large',
+    weight: 'Bolder',
+    color: 'Attention',
+    wrap: true,
+    text: alerts.length === 1 ? `Low CSAT score: ${rule.name}` : `${alerts.length} low CSAT scores: ${rule.name}`
+  }];
+
+  for (const alert of shown) {
+    body.push(
+      { type: 'TextBlock', text: alertTitle(alert), weight: 'Bolder', wrap: true, separator: true, spacing: 'Medium' },
+      {
+        type: 'FactSet',
+        facts: [
+          { title: 'Rating', value: String(alert.overall_rating ?? '–') },
+          { title: 'Technician', value: alert.technician_name || '–' },
+          { title: 'Company', value: alert.company_name || '–' },
+          { title: 'Customer', value: alert.customer_name || '–' }
+        ]
+      },
+      { type: 'TextBlock', text: alert.comments || 'No comment', isSubtle: !alert.comments, wrap: true }
+    );
+  }
+  if (alerts.length > shown.length) {
+    body.push({ type: 'TextBlock', text: `…and ${alerts.length - shown.length} more`, isSubtle: true });
+  }
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body,
+        ...(dashboardUrl && { actions: [{ type: 'Action.OpenUrl', title: 'Open dashboard', url: dashboardUrl }] })
+      }
+    }]
+  };
+}
+
+class AlertService {
+  constructor(options = {}) {
+    this.teable = options.teable;
+    this.logger = options.logger;
+    this.metrics = options.metricsCollector;
+    this.dashboardUrl = options.dashboardUrl || null;
+    this.cacheTtlMs = options.cacheTtlMs || 60 * 1000;
+    this.cache = null;
+    this.cachedAt = 0;
+    this.inFlight = new Set();
+    this.sweep = new Sweep({
+      task: () => this.flushDue(),
+      intervalMs: options.sweepIntervalMs || 60 * 1000,
+      description: 'sending queued alerts',
+      logger: this.logger
+    });
+  }
+
+  // Active rules; rules edited into an invalid state in Teable are skipped
+  async getRules() {
+    if (this.cache && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cache;
+    }
+
+    try {
+      const records = await this.teable.getAllRecords('alert_rules', { filterByFormula: `{is_active} = TRUE()` });
+      this.cache = records.map(toRule).filter(rule => {
+        const valid = rule.condition && conditionErrors(rule.condition, 'condition').length === 0 &&
+          CHANNELS.includes(rule.channel) && rule.webhook_url && Array.isArray(rule.companies);
+        if (!valid) this.logger.error('Invalid alert rule, skipping it', { ruleId: rule.id, name: rule.name });
+        return valid;
+      });
+    } catch (error) {
+      this.logger.warn('Unable to load alert rules', { error: error.message });
+      this.cache = this.cache || [];
+    }
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  clearCache() {
+    this.cache = null;
+  }
+
+  async getRuleRecord(ruleId) {
+    try {
+      return await this.teable.getRecordById('alert_rules', ruleId);
+    } catch (error) {
+      if (error.status === 404 || error.status === 400) {
+        throw alertError('Alert rule not found', 'ALERT_RULE_NOT_FOUND', 404);
+      }
+      throw error;
+    }
+  }
+
+  async listRules() {
+    return (await this.teable.getAllRecords('alert_rules')).map(toRule);
+  }
+
+  async createRule(body) {
+    const rule = validateRule(body);
+    const result = await this.teable.createRecord('alert_rules', {
+      companies: '[]',
+      timezone: process.env.ALERT_TIMEZONE || 'UTC',
+      is_active: true,
+      ...rule
+    });
+    this.clearCache();
+    this.logger.info('Alert rule created', { ruleId: result.records[0].id, name: rule.Name });
+    return toRule(result.records[0]);
+  }
+
+  async updateRule(ruleId, body) {
+    const rule = validateRule(body, true);
+    await this.getRuleRecord(ruleId);
+    await this.teable.updateRecord('alert_rules', ruleId, rule);
+    this.clearCache();
+    return toRule(await this.getRuleRecord(ruleId));
+  }
+
+  // Send a sample alert through a rule straight away, ignoring its condition and quiet hours
+  async sendTest(ruleId) {
+    const rule = toRule(await this.getRuleRecord(ruleId));
+    try {
+      await this.post(rule, [alertData('test', {
+        ticket_external_id: 'TEST-001',
+        ticket_subject: 'Test alert from OpenCSAT',
+        technician_name: 'Test Technician',
+        company_name: rule.companies[0] || 'Test Company',
+        customer_name: 'Test Customer',
+        overall_rating: 1,
+        comments: 'This is a test alert.'
+      })]);
+    } catch (error) {
+      const status = error.response ? `HTTP ${error.response.status}` : error.message;
+      throw alertError(`${rule.channel} webhook rejected the alert: ${status}`, 'ALERT_DELIVERY_FAILED', 502);
+    }
+    return { sent: true, rule_id: rule.id };
+  }
+
+  // Called after a survey is submitted: queue an alert for every matching rule and
+  // send it now unless the rule is in its quiet hours
+  async evaluate(recordId, fields) {
+    const answers = parseResponses(fields.responses);
+    const rules = (await this.getRules()).filter(rule => ruleMatches(rule, fields, answers));
+
+    for (const rule of rules) {
+      const waitMinutes = quietMinutesLeft(rule);
+      const alert = alertData(recordId, fields);
+      const result = await this.teable.createRecord('alert_notifications', {
+        Name: `${rule.name} - ${alert.ticket_external_id}`,
+        rule_id: rule.id,
+        survey_response_id: recordId,
+        status: 'queued',
+        payload: JSON.stringify(alert),
+        attempts: 0,
+        // Delivered below when there is no wait; the sweep only takes over if that attempt is lost
+        send_after: waitMinutes > 0
+          ? new Date(Date.now() + waitMinutes * 60 * 1000).toISOString()
+          : nextRetryAt(1, RETRY_DELAYS_MINUTES)
+      });
+      this.metrics.counter('alerts_triggered', 1, { channel: rule.channel, held: String(waitMinutes > 0) });
+
+      if (waitMinutes > 0) {
+        this.logger.info('Alert held until quiet hours end', { ruleId: rule.id, recordId, waitMinutes });
+      } else {
+        await this.deliver(rule, result.records);
+      }
+    }
+  }
+
+  async post(rule, alerts) {
+    const card = rule.channel === 'teams'
+      ? teamsCard(rule, alerts, this.dashboardUrl)
+      : slackCard(rule, alerts, this.dashboardUrl);
+    await axios.post(rule.webhook_url, card, { timeout: 10000, maxRedirects: 0 });
+  }
+
+  // Post queued notifications for one rule as a single card and record the outcome on each
+  async deliver(rule, notifications) {
+    const pending = notifications.filter(n => !this.inFlight.has(n.id));
+    if (pending.length === 0) return;
+    pending.forEach(n => this.inFlight.add(n.id));
+
+    try {
+      let update;
+      try {
+        await this.post(rule, pending.map(n => parseJson(n.fields.payload, {})));
+        update = () => ({ status: 'sent', error_message: '', sent_at: new Date().toISOString() });
+        this.metrics.counter('alerts_sent', pending.length, { channel: rule.channel });
+        this.logger.info('Alert sent', { ruleId: rule.id, channel: rule.channel, alerts: pending.length });
+      } catch (error) {
+        this.metrics.counter('alerts_failed', pending.length, { channel: rule.channel });
+        this.logger.warn('Alert delivery failed', { ruleId: rule.id, channel: rule.channel, error: error.message });
+        update = n => {
+          const attempts = (n.fields.attempts || 0) + 1;
+          const sendAfter = nextRetryAt(attempts, RETRY_DELAYS_MINUTES);
+          return {
+            status: sendAfter ? 'queued' : 'failed',
+            attempts,
+            error_message: error.message.substring(0, 1000),
+            ...(sendAfter && { send_after: sendAfter })
+          };
+        };
+      }
+
+      for (const notification of pending) {
+        await this.teable.updateRecord('alert_notifications', notification.id, update(notification));
+      }
+    } catch (error) {
+      this.logger.error('Unable to store alert status', { ruleId: rule.id, error: error.message });
+    } finally {
+      pending.forEach(n => this.inFlight.delete(n.id));
+    }
+  }
+
+  // Send queued alerts that are due, batched per rule: alerts held over quiet hours go out together
+  async flushDue() {
+    const rules = await this.getRules();
+    if (rules.length === 0) return;
+
+    const queued = await this.teable.getAllRecords('alert_notifications', { filterByFormula: `{status} = "queued"` });
+    if (queued.length === 0) return;
+
+    const now = Date.now();
+    const byRule = new Map();
+    for (const notification of queued) {
+      if (!isDue(notification.fields.send_after, now)) continue;
+      if (!byRule.has(notification.fields.rule_id)) byRule.set(notification.fields.rule_id, []);
+      byRule.get(notification.fields.rule_id).push(notification);
+    }
+
+    for (const [ruleId, notifications] of byRule) {
+      const rule = rules.find(r => r.id === ruleId);
+      if (!rule) {
+        for (const notification of notifications) {
+          await this.teable.updateRecord('alert_notifications', notification.id, {
+            status: 'failed',
+            error_message: 'Alert rule is inactive or deleted'
+          });
+        }
+      } else if (quietMinutesLeft(rule) === 0) {
+        await this.deliver(rule, notifications);
+      }
+    }
+  }
+
+  start() {
+    this.sweep.start();
+  }
+
+  stop() {
+    this.sweep.stop();
+  }
+}
+
+module.exports = {
+  CHANNELS,
+  validateRule,
+  ruleMatches,
+  quietMinutesLeft,
+  slackCard,
+  teamsCard,
+  AlertService
+};
@@ -0,0 +1,206 @@
+// auth.js - API key authentication and roles for non-public endpoints
+const crypto = require('crypto');
+
+// admin can use every role's endpoints
+const ROLES = ['admin', 'reporting', 'integration'];
+
+const KEY_PREFIX = 'ocs_';
+
+function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+}
+
+// Keys are long random strings, so a plain SHA-256 is enough to store them safely
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function authError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function extractApiKey(req, options = {}) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  const key = (req.get('X-API-Key') || '').trim();
+  if (!key && options.allowQueryKey && typeof req.query.api_key === 'string') {
+    return req.query.api_key.trim();
+  }
+  return key;
+}
+
+// Keep API keys passed as ?api_key= out of the logs
+function redactUrl(url) {
+  return typeof url === 'string' ? url.replace(/([?&]api_key=)[^&]*/g, '$1[redacted]') : url;
+}
+
+function toApiKey(record) {
+  const fields = record.fields || {};
+  return {
+    id: record.id,
+    name: fields.Name || '',
+    role: fields.role,
+    hash: fields.key_hash || '',
+    prefix: fields.key_prefix || '',
+    lastUsedAt: fields.last_used_at ? new Date(fields.last_used_at).getTime() : 0
+  };
+}
+
+function sendAuthError(res, error) {
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    timestamp: new Date().toISOString()
+  });
+}
+
+class ApiKeyAuth {
+  constructor(options = {}) {
+    this.teable = options.teable;
+    this.logger = options.logger;
+    this.metrics = options.metricsCollector;
+    // Deprecated: the reporting API's original bearer token, accepted as a reporting key until clients move to API keys
+    this.legacyReportingToken = options.legacyReportingToken ?? (process.env.REPORTING_API_TOKEN || '');
+    this.legacyWarned = false;
+    // Short cache so revoked keys stop working quickly
+    this.cacheTtlMs = options.cacheTtlMs || 60 * 1000;
+    this.lastUsedIntervalMs = options.lastUsedIntervalMs || 60 * 60 * 1000;
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  async getKeys() {
+    if (this.cache && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cache;
+    }
+
+    try {
+      const records = await this.teable.getAllRecords('api_keys', {
+        filterByFormula: `{is_active} = TRUE()`
+      });
+      this.cache = records.map(toApiKey).filter(key => ROLES.includes(key.role) && key.hash);
+      this.cachedAt = Date.now();
+    } catch (error) {
+      if (!this.cache) {
+        throw authError('Authentication is temporarily unavailable', 'AUTH_UNAVAILABLE', 503);
+      }
+      this.logger.warn('Unable to refresh API keys, using cached keys', { error: error.message });
+      this.cachedAt = Date.now();
+    }
+
+    return this.cache;
+  }
+
+  clearCache() {
+    this.cache = null;
+  }
+
+  legacyKey(rawKey) {
+    if (!this.legacyReportingToken) return null;
+
+    const expected = Buffer.from(hashApiKey(this.legacyReportingToken), 'hex');
+    if (!crypto.timingSafeEqual(Buffer.from(hashApiKey(rawKey), 'hex'), expected)) return null;
+
+    if (!this.legacyWarned) {
+      this.legacyWarned = true;
+      this.logger.warn('REPORTING_API_TOKEN is deprecated; create a reporting API key instead');
+    }
+    return { id: null, name: 'REPORTING_API_TOKEN', role: 'reporting', prefix: 'legacy' };
+  }
+
+  // Returns the matching active key, or null
+  async authenticate(rawKey) {
+    if (!rawKey) return null;
+
+    const legacy = this.legacyKey(rawKey);
+    if (legacy) return legacy;
+
+    const hash = Buffer.from(hashApiKey(rawKey), 'hex');
+    const keys = await this.getKeys();
+    const key = keys.find(k => k.hash.length === 64 && crypto.timingSafeEqual(Buffer.from(k.hash, 'hex'), hash));
+    if (!key) return null;
+
+    this.touch(key);
+    return key;
+  }
+
+  // Record last_used_at, at most once per interval per key
+  touch(key) {
+    if (Date.now() - key.lastUsedAt < this.lastUsedIntervalMs) return;
+    key.lastUsedAt = Date.now();
+    this.teable.updateRecord('api_keys', key.id, { last_used_at: new Date().toISOString() })
+      .catch(error => this.logger.warn('Unable to update API key last_used_at', { error: error.message }));
+  }
+
+  recordFailure(req, reason, key) {
+    this.logger.warn('API authentication failed', {
+      reason,
+      ip: req.ip,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      key: key ? key.prefix : undefined
+    });
+    this.metrics.counter('auth_failures_total', 1, { reason });
+  }
+
+  hasRole(key, roles) {
+    return key.role === 'admin' || roles.includes(key.role);
+  }
+
+  // Express middleware: requires a key with one of the roles (admin always passes).
+  // Rejections are answered here so they are logged once, as warnings, not as unhandled errors.
+  requireRole(...roles) {
+    return this.middleware(roles);
+  }
+
+  // For webhook senders that can only be configured with a URL, the key may also be passed as ?api_key=
+  requireWebhookKey() {
+    return this.middleware(['integration'], { allowQueryKey: true });
+  }
+
+  middleware(roles, options = {}) {
+    return async (req, res, next) => {
+      const rawKey = extractApiKey(req, options);
+      if (!rawKey) {
+        this.recordFailure(req, 'missing');
+        return sendAuthError(res, authError('API key required', 'UNAUTHORIZED', 401));
+      }
+
+      let key;
+      try {
+        key = await this.authenticate(rawKey);
+      } catch (error) {
+        if (error.code !== 'AUTH_UNAVAILABLE') return next(error);
+        this.logger.warn('API authentication unavailable', { error: error.message, url: redactUrl(req.originalUrl) });
+        return sendAuthError(res, error);
+      }
+
+      if (!key) {
+        this.recordFailure(req, 'invalid');
+        return sendAuthError(res, authError('Invalid API key', 'UNAUTHORIZED', 401));
+      }
+
+      if (!this.hasRole(key, roles)) {
+        this.recordFailure(req, 'forbidden', key);
+        return sendAuthError(res, authError('API key does not have access to this endpoint', 'FORBIDDEN', 403));
+      }
+
+      req.apiKey = { id: key.id, name: key.name, role: key.role };
+      next();
+    };
+  }
+}
+
+module.exports = {
+  ROLES,
+  generateApiKey,
+  hashApiKey,
+  extractApiKey,
+  redactUrl,
+  ApiKeyAuth
+};
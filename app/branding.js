@@ -0,0 +1,110 @@
+// branding.js - Per-client branding profiles for customer-facing pages
+const { html } = require('./templates');
+
+const DEFAULT_BRANDING = {
+  name: null,
+  displayName: '',
+  logoUrl: '',
+  primaryColor: '#007cba',
+  secondaryColor: '#005a8b',
+  footerText: '',
+  thankYouMessage: ''
+};
+
+function isColor(value) {
+  return typeof value === 'string' && /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(value.trim());
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (e) {
+    return false;
+  }
+}
+
+// Map a branding_profiles record onto a profile, dropping values that are unsafe to put in CSS or URLs
+function toProfile(record) {
+  const fields = record.fields || {};
+  return {
+    name: fields.Name || null,
+    companyName: (fields.company_name || '').trim().toLowerCase(),
+    isDefault: !!fields.is_default,
+    displayName: fields.display_name || '',
+    logoUrl: isHttpUrl(fields.logo_url) ? fields.logo_url : '',
+    primaryColor: isColor(fields.primary_color) ? fields.primary_color.trim() : DEFAULT_BRANDING.primaryColor,
+    secondaryColor: isColor(fields.secondary_color) ? fields.secondary_color.trim() : DEFAULT_BRANDING.secondaryColor,
+    footerText: fields.footer_text || '',
+    thankYouMessage: fields.thank_you_message || ''
+  };
+}
+
+class BrandingService {
+  constructor(options = {}) {
+    this.teable = options.teable;
+    this.logger = options.logger;
+    this.cacheTtlMs = options.cacheTtlMs || 5 * 60 * 1000;
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  async getProfiles() {
+    if (this.cache && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cache;
+    }
+
+    try {
+      const records = await this.teable.getRecords('branding_profiles', {
+        filterByFormula: `{is_active} = TRUE()`
+      });
+      this.cache = records.map(toProfile);
+      this.cachedAt = Date.now();
+    } catch (error) {
+      this.logger.warn('Unable to load branding profiles, using default branding', { error: error.message });
+      this.cache = this.cache || [];
+      this.cachedAt = Date.now();
+    }
+
+    return this.cache;
+  }
+
+  // An explicit brand name wins, then a profile matching the company name, then the default profile
+  async resolve({ brand, companyName } = {}) {
+    const profiles = await this.getProfiles();
+    const company = (companyName || '').trim().toLowerCase();
+
+    const profile = (brand && profiles.find(p => p.name && p.name.toLowerCase() === String(brand).toLowerCase()))
+      || (company && profiles.find(p => p.companyName && p.companyName === company))
+      || profiles.find(p => p.isDefault);
+
+    return profile || DEFAULT_BRANDING;
+  }
+
+  clearCache() {
+    this.cache = null;
+  }
+}
+
+// Placeholder values for the branding slots in survey.html and success.html
+function brandingTemplateData(profile = DEFAULT_BRANDING) {
+  const logo = profile.logoUrl
+    ? html`<img class="brand-logo" src="${profile.logoUrl}" alt="${profile.displayName}">`
+    : '';
+  const name = profile.displayName
+    ? html`<div class="brand-name">${profile.displayName}</div>`
+    : '';
+
+  return {
+    brand_primary: profile.primaryColor,
+    brand_secondary: profile.secondaryColor,
+    brand_header: logo || name ? html`<div class="brand">${logo}${name}</div>` : '',
+    brand_footer: profile.footerText ? html`<div class="brand-footer">${profile.footerText}</div>` : ''
+  };
+}
+
+module.exports = {
+  DEFAULT_BRANDING,
+  BrandingService,
+  brandingTemplateData
+};
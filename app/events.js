@@ -0,0 +1,360 @@
+// events.js - Signed outbound webhooks for survey events, with retries and a delivery log
+const crypto = require('crypto');
+const axios = require('axios');
+const { parseResponses } = require('./reporting');
+const { Sweep, isDue } = require('./scheduler');
+
+const EVENTS = ['survey.created', 'survey.viewed', 'survey.completed', 'survey.expired'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// survey_responses fields included in event payloads
+const EVENT_FIELDS = [
+  'ticket_external_id', 'ticket_subject', 'customer_name', 'customer_email', 'company_name',
+  'technician_name', 'priority', 'category', 'status', 'overall_rating', 'comments', 'survey_id',
+  'survey_version', 'survey_url', 'locale', 'created_at', 'viewed_at', 'submitted_at', 'expires_at'
+];
+
+// Seconds before retry n is 30 * 2^(n-1), capped at six hours
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+
+function subscriptionError(message, code, status, errors) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of '<t>.<body>'>"; receivers should reject old timestamps
+function signPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(BASE_RETRY_SECONDS * Math.pow(2, attempts - 1), MAX_RETRY_SECONDS);
+}
+
+function eventData(recordId, fields) {
+  const data = { id: recordId };
+  for (const field of EVENT_FIELDS) {
+    data[field] = fields[field] ?? null;
+  }
+  data.responses = parseResponses(fields.responses);
+  return data;
+}
+
+function parseEvents(value) {
+  return String(value || '').split(',').map(event => event.trim()).filter(Boolean);
+}
+
+// Check a subscription body: { name, url, events, is_active }; `partial` allows leaving fields out
+function validateSubscription(body = {}, partial = false) {
+  const subscription = {};
+  const errors = [];
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+      errors.push({ path: 'name', message: 'Must be 1-100 characters' });
+    } else {
+      subscription.Name = body.name.trim();
+    }
+  }
+  if (body.url !== undefined || !partial) {
+    let url = null;
+    try {
+      url = new URL(body.url);
+    } catch (e) {
+      // reported below
+    }
+    if (!url || !['https:', 'http:'].includes(url.protocol)) {
+      errors.push({ path: 'url', message: 'Must be an http or https URL' });
+    } else if (url.protocol === 'http:' && process.env.NODE_ENV === 'production') {
+      errors.push({ path: 'url', message: 'Must use https in production' });
+    } else {
+      subscription.url = url.toString();
+    }
+  }
+  if (body.events !== undefined || !partial) {
+    const events = Array.isArray(body.events) ? body.events : [];
+    const unknown = events.filter(event => event !== '*' && !EVENTS.includes(event));
+    if (events.length === 0 || unknown.length > 0) {
+      errors.push({ path: 'events', message: `Must be a list of: *, ${EVENTS.join(', ')}` });
+    } else {
+      subscription.events = events.join(',');
+    }
+  }
+  if (body.is_active !== undefined) {
+    if (typeof body.is_active !== 'boolean') {
+      errors.push({ path: 'is_active', message: 'Must be true or false' });
+    } else {
+      subscription.is_active = body.is_active;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw subscriptionError('Webhook subscription is invalid', 'INVALID_SUBSCRIPTION', 422, errors);
+  }
+  return subscription;
+}
+
+// Secrets are left out; they are only returned when a subscription is created
+function toSubscription(record) {
+  const fields = record.fields || {};
+  return {
+    id: record.id,
+    name: fields.Name || '',
+    url: fields.url || '',
+    events: parseEvents(fields.events),
+    is_active: !!fields.is_active,
+    created_at: fields.created_at || null
+  };
+}
+
+function toDelivery(record) {
+  const fields = record.fields || {};
+  return {
+    id: record.id,
+    subscription_id: fields.subscription_id || null,
+    event: fields.event || '',
+    event_id: fields.event_id || '',
+    status: fields.status || '',
+    attempts: fields.attempts || 0,
+    response_status: fields.response_status || null,
+    error_message: fields.error_message || null,
+    next_attempt_at: fields.next_attempt_at || null,
+    delivered_at: fields.delivered_at || null,
+    created_at: fields.created_at || null
+  };
+}
+
+class OutboundWebhooks {
+  constructor(options = {}) {
+    this.teable = options.teable;
+    this.logger = options.logger;
+    this.metrics = options.metricsCollector;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.cacheTtlMs = options.cacheTtlMs || 60 * 1000;
+    this.cache = null;
+    this.cachedAt = 0;
+    this.inFlight = new Set();
+    this.sweep = new Sweep({
+      task: () => this.retryDue(),
+      intervalMs: options.sweepIntervalMs || 30 * 1000,
+      description: 'retrying webhook deliveries',
+      logger: this.logger
+    });
+  }
+
+  // Active subscriptions, including secrets
+  async getSubscriptions() {
+    if (this.cache && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cache;
+    }
+
+    try {
+      this.cache = await this.teable.getAllRecords('webhook_subscriptions', {
+        filterByFormula: `{is_active} = TRUE()`
+      });
+    } catch (error) {
+      this.logger.warn('Unable to load webhook subscriptions', { error: error.message });
+      this.cache = this.cache || [];
+    }
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  clearCache() {
+    this.cache = null;
+  }
+
+  async getRecord(tableName, id) {
+    try {
+      return await this.teable.getRecordById(tableName, id);
+    } catch (error) {
+      if (error.status === 404 || error.status === 400) {
+        throw subscriptionError(tableName === 'webhook_deliveries' ? 'Delivery not found' : 'Subscription not found', 'NOT_FOUND', 404);
+      }
+      throw error;
+    }
+  }
+
+  async listSubscriptions() {
+    const records = await this.teable.getAllRecords('webhook_subscriptions');
+    return records.map(toSubscription);
+  }
+
+  async createSubscription(body) {
+    const subscription = validateSubscription(body);
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+    const result = await this.teable.createRecord('webhook_subscriptions', {
+      ...subscription,
+      secret,
+      is_active: subscription.is_active !== undefined ? subscription.is_active : true
+    });
+    this.clearCache();
+
+    const record = result.records[0];
+    this.logger.info('Webhook subscription created', { id: record.id, url: subscription.url, events: subscription.events });
+    return { ...toSubscription(record), secret };
+  }
+
+  async updateSubscription(id, body) {
+    const subscription = validateSubscription(body, true);
+    await this.getRecord('webhook_subscriptions', id);
+    await this.teable.updateRecord('webhook_subscriptions', id, subscription);
+    this.clearCache();
+    return toSubscription(await this.getRecord('webhook_subscriptions', id));
+  }
+
+  async listDeliveries(subscriptionId, options = {}) {
+    if (options.status && !DELIVERY_STATUSES.includes(options.status)) {
+      throw subscriptionError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`, 'INVALID_FILTER', 400);
+    }
+    const conditions = [`{subscription_id} = "${subscriptionId}"`];
+    if (options.status) conditions.push(`{status} = "${options.status}"`);
+
+    const records = await this.teable.getAllRecords('webhook_deliveries', {
+      filterByFormula: `AND(${conditions.join(', ')})`
+    });
+    return records
+      .map(toDelivery)
+      .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0))
+      .slice(0, options.limit || 100);
+  }
+
+  // Send a delivery again straight away, whatever its status
+  async redeliver(deliveryId) {
+    await this.attempt(await this.getRecord('webhook_deliveries', deliveryId));
+    return toDelivery(await this.getRecord('webhook_deliveries', deliveryId));
+  }
+
+  // Emit an event for a survey_responses record; delivery happens in the background
+  emit(event, recordId, fields) {
+    this.dispatch(event, eventData(recordId, fields))
+      .catch(error => this.logger.error('Unable to emit webhook event', { event, recordId, error: error.message }));
+  }
+
+  async dispatch(event, data) {
+    const subscriptions = (await this.getSubscriptions())
+      .filter(record => {
+        const events = parseEvents(record.fields.events);
+        return events.includes('*') || events.includes(event);
+      });
+    if (subscriptions.length === 0) return;
+
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const payload = JSON.stringify({ id: eventId, event, created_at: new Date().toISOString(), data });
+
+    for (const subscription of subscriptions) {
+      const result = await this.teable.createRecord('webhook_deliveries', {
+        Name: `${event} ${eventId}`,
+        subscription_id: subscription.id,
+        event,
+        event_id: eventId,
+        payload,
+        status: 'pending',
+        attempts: 0
+      });
+      await this.attempt(result.records[0], subscription);
+    }
+  }
+
+  // One delivery attempt; failures are scheduled for retry with exponential backoff
+  async attempt(delivery, subscription = null) {
+    if (this.inFlight.has(delivery.id)) return;
+    this.inFlight.add(delivery.id);
+
+    const fields = delivery.fields;
+    const attempts = (fields.attempts || 0) + 1;
+
+    try {
+      const target = subscription || (await this.getSubscriptions()).find(s => s.id === fields.subscription_id);
+      if (!target) {
+        await this.teable.updateRecord('webhook_deliveries', delivery.id, {
+          status: 'failed',
+          error_message: 'Subscription is inactive or deleted',
+          next_attempt_at: null
+        });
+        return;
+      }
+
+      let update;
+      try {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const response = await axios.post(target.fields.url, fields.payload, {
+          timeout: this.timeoutMs,
+          maxRedirects: 0,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'OpenCSAT-Webhooks/1.0',
+            'X-OpenCSAT-Event': fields.event,
+            'X-OpenCSAT-Event-Id': fields.event_id,
+            'X-OpenCSAT-Delivery': delivery.id,
+            'X-OpenCSAT-Signature': signPayload(target.fields.secret, timestamp, fields.payload)
+          }
+        });
+        update = {
+          status: 'delivered',
+          attempts,
+          response_status: response.status,
+          error_message: '',
+          next_attempt_at: null,
+          delivered_at: new Date().toISOString()
+        };
+        this.metrics.counter('outbound_webhooks_delivered', 1, { event: fields.event });
+      } catch (error) {
+        const retry = attempts < this.maxAttempts;
+        update = {
+          status: retry ? 'pending' : 'failed',
+          attempts,
+          response_status: error.response?.status || null,
+          error_message: error.message.substring(0, 1000),
+          next_attempt_at: retry ? new Date(Date.now() + retryDelaySeconds(attempts) * 1000).toISOString() : null
+        };
+        this.metrics.counter('outbound_webhooks_failed', 1, { event: fields.event, final: String(!retry) });
+        this.logger[retry ? 'warn' : 'error']('Outbound webhook delivery failed', {
+          deliveryId: delivery.id, event: fields.event, url: target.fields.url, attempts, retry, error: error.message
+        });
+      }
+
+      await this.teable.updateRecord('webhook_deliveries', delivery.id, update);
+    } catch (error) {
+      this.logger.error('Unable to store webhook delivery status', { deliveryId: delivery.id, error: error.message });
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  async retryDue() {
+    // Nothing can be delivered without an active subscription
+    if ((await this.getSubscriptions()).length === 0) return;
+
+    const records = await this.teable.getAllRecords('webhook_deliveries', {
+      filterByFormula: `{status} = "pending"`
+    });
+    const now = Date.now();
+
+    for (const record of records.filter(r => isDue(r.fields.next_attempt_at, now))) {
+      await this.attempt(record);
+    }
+  }
+
+  start() {
+    this.sweep.start();
+  }
+
+  stop() {
+    this.sweep.stop();
+  }
+}
+
+module.exports = {
+  EVENTS,
+  signPayload,
+  validateSubscription,
+  OutboundWebhooks
+};
@@ -0,0 +1,132 @@
+// export.js - Filtered CSV and XLSX exports of survey_responses records
+const ExcelJS = require('exceljs');
+const { parseDateRange, inDateRange, parseResponses } = require('./reporting');
+
+const STATUSES = ['pending', 'partial', 'completed', 'expired'];
+
+// Ticket metadata columns, in export order; question columns follow
+const METADATA_FIELDS = [
+  'ticket_external_id', 'ticket_subject', 'customer_name', 'customer_email', 'company_name',
+  'technician_name', 'priority', 'category', 'completion_date', 'status', 'overall_rating',
+  'comments', 'survey_id', 'survey_version', 'locale', 'created_at', 'submitted_at', 'expires_at'
+];
+
+function filterError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FILTER';
+  error.status = 400;
+  return error;
+}
+
+function parseRating(value, name) {
+  if (value === undefined || value === '') return null;
+  const rating = Number(value);
+  if (!Number.isFinite(rating)) {
+    throw filterError(`${name} must be a number`);
+  }
+  return rating;
+}
+
+function parseExportFilters(query) {
+  const statuses = query.status
+    ? String(query.status).split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+    : [];
+  const unknown = statuses.filter(status => !STATUSES.includes(status));
+  if (unknown.length > 0) {
+    throw filterError(`Unknown status: ${unknown.join(', ')}`);
+  }
+
+  return {
+    range: parseDateRange(query),
+    company: query.company ? String(query.company).trim().toLowerCase() : null,
+    technician: query.technician ? String(query.technician).trim().toLowerCase() : null,
+    statuses,
+    minRating: parseRating(query.min_rating, 'min_rating'),
+    maxRating: parseRating(query.max_rating, 'max_rating')
+  };
+}
+
+function matchesText(value, expected) {
+  return !expected || String(value || '').trim().toLowerCase() === expected;
+}
+
+function matchesFilters(record, filters) {
+  const fields = record.fields;
+  if (!inDateRange(record, filters.range)) return false;
+  if (!matchesText(fields.company_name, filters.company)) return false;
+  if (!matchesText(fields.technician_name, filters.technician)) return false;
+  if (filters.statuses.length > 0 && !filters.statuses.includes(fields.status)) return false;
+
+  if (filters.minRating !== null || filters.maxRating !== null) {
+    if (typeof fields.overall_rating !== 'number') return false;
+    if (filters.minRating !== null && fields.overall_rating < filters.minRating) return false;
+    if (filters.maxRating !== null && fields.overall_rating > filters.maxRating) return false;
+  }
+
+  return true;
+}
+
+function cellValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// Flatten records into rows: metadata columns, then one column per question ID
+// in the order the questions first appear
+function buildExport(records) {
+  const answers = records.map(record => parseResponses(record.fields.responses));
+  const questionIds = [];
+  for (const recordAnswers of answers) {
+    for (const questionId of Object.keys(recordAnswers)) {
+      if (!questionIds.includes(questionId)) questionIds.push(questionId);
+    }
+  }
+
+  const columns = [...METADATA_FIELDS, ...questionIds.map(id => `q_${id}`)];
+  const rows = records.map((record, i) => [
+    ...METADATA_FIELDS.map(field => cellValue(record.fields[field])),
+    ...questionIds.map(id => cellValue(answers[i][id]))
+  ]);
+
+  return { columns, rows };
+}
+
+// Quote CSV values and stop spreadsheet apps from running customer text as a formula
+function csvValue(value) {
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeCsv(stream, { columns, rows }) {
+  stream.write('\uFEFF' + columns.map(csvValue).join(',') + '\r\n');
+  for (const row of rows) {
+    stream.write(row.map(csvValue).join(',') + '\r\n');
+  }
+  stream.end();
+}
+
+async function writeXlsx(stream, { columns, rows }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Survey Responses');
+  sheet.columns = columns.map(column => ({ header: column, key: column, width: 20 }));
+  for (const row of rows) {
+    sheet.addRow(row).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+module.exports = {
+  STATUSES,
+  METADATA_FIELDS,
+  parseExportFilters,
+  matchesFilters,
+  buildExport,
+  writeCsv,
+  writeXlsx
+};
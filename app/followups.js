@@ -0,0 +1,274 @@
+// followups.js - Follow-up cases for low-rated survey responses: owner, status, notes and an SLA due date
+const { Sweep } = require('./scheduler');
+
+const STATUSES = ['open', 'contacted', 'resolved'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function followUpError(message, code, status, errors) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+function parseNotes(value) {
+  try {
+    const notes = JSON.parse(value || '[]');
+    return Array.isArray(notes) ? notes : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// A case breaches its SLA when it is resolved after its due date, or is still unresolved past it
+function isSlaBreached(followUp, now = new Date()) {
+  if (!followUp.due_at) return false;
+  const end = followUp.status === 'resolved' && followUp.resolved_at ? new Date(followUp.resolved_at) : now;
+  return end > new Date(followUp.due_at);
+}
+
+function toCase(record) {
+  const fields = record.fields || {};
+  return {
+    id: record.id,
+    survey_response_id: fields.survey_response_id || null,
+    ticket_external_id: fields.ticket_external_id || null,
+    customer_name: fields.customer_name || null,
+    company_name: fields.company_name || null,
+    technician_name: fields.technician_name || null,
+    overall_rating: fields.overall_rating ?? null,
+    comments: fields.comments || '',
+    owner: fields.owner || null,
+    status: fields.status || 'open',
+    notes: parseNotes(fields.notes),
+    due_at: fields.due_at || null,
+    contacted_at: fields.contacted_at || null,
+    resolved_at: fields.resolved_at || null,
+    sla_breached: !!fields.sla_breached,
+    created_at: fields.created_at || null
+  };
+}
+
+// Check a PATCH body: { owner, status, due_at }
+function validateUpdate(body = {}) {
+  const update = {};
+  const errors = [];
+
+  if (body.owner !== undefined) {
+    if (body.owner !== null && (typeof body.owner !== 'string' || body.owner.length > 100)) {
+      errors.push({ path: 'owner', message: 'Must be a name of at most 100 characters, or null to unassign' });
+    } else {
+      update.owner = (body.owner || '').trim();
+    }
+  }
+  if (body.status !== undefined) {
+    if (!STATUSES.includes(body.status)) {
+      errors.push({ path: 'status', message: `Must be one of: ${STATUSES.join(', ')}` });
+    } else {
+      update.status = body.status;
+    }
+  }
+  if (body.due_at !== undefined) {
+    const due = new Date(body.due_at);
+    if (typeof body.due_at !== 'string' || isNaN(due.getTime())) {
+      errors.push({ path: 'due_at', message: 'Must be an ISO 8601 date' });
+    } else {
+      update.due_at = due.toISOString();
+    }
+  }
+
+  if (errors.length > 0) {
+    throw followUpError('Follow-up update is invalid', 'INVALID_FOLLOW_UP', 422, errors);
+  }
+  return update;
+}
+
+class FollowUps {
+  constructor(options = {}) {
+    this.teable = options.teable;
+    this.logger = options.logger;
+    this.metrics = options.metricsCollector;
+    this.slaHours = options.slaHours || parseInt(process.env.FOLLOWUP_SLA_HOURS) || 48;
+    this.defaultOwner = options.defaultOwner ?? (process.env.FOLLOWUP_DEFAULT_OWNER || '');
+    this.opening = new Set();
+    this.sweep = new Sweep({
+      task: () => this.checkSla(),
+      intervalMs: options.sweepIntervalMs || 5 * 60 * 1000,
+      description: 'checking follow-up SLAs',
+      logger: this.logger
+    });
+  }
+
+  async getRecord(caseId) {
+    try {
+      return await this.teable.getRecordById('followup_cases', caseId);
+    } catch (error) {
+      if (error.status === 404 || error.status === 400) {
+        throw followUpError('Follow-up case not found', 'FOLLOW_UP_NOT_FOUND', 404);
+      }
+      throw error;
+    }
+  }
+
+  async get(caseId) {
+    return toCase(await this.getRecord(caseId));
+  }
+
+  async findForResponse(responseId) {
+    const record = await this.teable.getRecord('followup_cases', {
+      filterByFormula: `{survey_response_id} = "${responseId}"`
+    });
+    return record ? toCase(record) : null;
+  }
+
+  // Cases sorted by due date; filters: status, owner, overdue
+  async list(filters = {}) {
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      throw followUpError(`status must be one of: ${STATUSES.join(', ')}`, 'INVALID_FILTER', 400);
+    }
+    const now = new Date();
+    return (await this.teable.getAllRecords('followup_cases'))
+      .map(toCase)
+      .filter(c => !filters.status || c.status === filters.status)
+      .filter(c => !filters.owner || (c.owner || '').toLowerCase() === filters.owner.toLowerCase())
+      .filter(c => !filters.overdue || (c.status !== 'resolved' && isSlaBreached(c, now)))
+      .sort((a, b) => new Date(a.due_at || 0) - new Date(b.due_at || 0));
+  }
+
+  // Open a case for a survey response unless it already has one; returns { followUp, created }
+  async open(responseId, fields, options = {}) {
+    if (this.opening.has(responseId)) {
+      throw followUpError('A follow-up case is already being opened for this response', 'FOLLOW_UP_EXISTS', 409);
+    }
+    this.opening.add(responseId);
+
+    try {
+      const existing = await this.findForResponse(responseId);
+      if (existing) return { followUp: existing, created: false };
+
+      const now = new Date();
+      const result = await this.teable.createRecord('followup_cases', {
+        Name: `Follow-up - ${fields.ticket_external_id || responseId}`,
+        survey_response_id: responseId,
+        ticket_external_id: fields.ticket_external_id || '',
+        customer_name: fields.customer_name || '',
+        company_name: fields.company_name || '',
+        technician_name: fields.technician_name || '',
+        overall_rating: fields.overall_rating ?? null,
+        comments: fields.comments || '',
+        owner: options.owner || this.defaultOwner,
+        status: 'open',
+        notes: '[]',
+        due_at: new Date(now.getTime() + this.slaHours * HOUR_MS).toISOString(),
+        sla_breached: false,
+        created_at: now.toISOString()
+      });
+      const followUp = toCase(result.records[0]);
+
+      await this.teable.updateRecord('survey_responses', responseId, { followup_case_id: followUp.id });
+      this.metrics.counter('followups_opened', 1);
+      this.logger.info('Follow-up case opened', {
+        caseId: followUp.id,
+        recordId: responseId,
+        rating: followUp.overall_rating,
+        dueAt: followUp.due_at
+      });
+      return { followUp, created: true };
+    } finally {
+      this.opening.delete(responseId);
+    }
+  }
+
+  // Copy the completed survey's rating and comment onto a case opened before it was completed.
+  // A case nobody has worked on yet is resolved when the final rating is no longer low.
+  async applyFinalRating(caseId, fields, { isLow }) {
+    const current = toCase(await this.getRecord(caseId));
+    const update = { overall_rating: fields.overall_rating ?? null, comments: fields.comments || '' };
+
+    if (!isLow && current.status === 'open' && current.notes.length === 0) {
+      const now = new Date().toISOString();
+      const rating = fields.overall_rating ?? 'without a score';
+      update.status = 'resolved';
+      update.resolved_at = now;
+      update.sla_breached = isSlaBreached({ ...current, status: 'resolved', resolved_at: now });
+      update.notes = JSON.stringify([{ at: now, author: null, text: `Resolved automatically: the completed survey was rated ${rating}` }]);
+    }
+
+    await this.teable.updateRecord('followup_cases', caseId, update);
+    this.logger.info('Follow-up case updated with final rating', { caseId, rating: update.overall_rating, status: update.status });
+    return { ...current, ...update, notes: update.notes ? parseNotes(update.notes) : current.notes };
+  }
+
+  // Change owner, status or due date; contacted_at and resolved_at follow the status
+  async update(caseId, body) {
+    const update = validateUpdate(body);
+    const current = toCase(await this.getRecord(caseId));
+    const next = { ...current, ...update };
+    const now = new Date();
+
+    if (update.status && update.status !== current.status) {
+      if (update.status !== 'open' && !current.contacted_at) {
+        update.contacted_at = next.contacted_at = now.toISOString();
+      }
+      update.resolved_at = next.resolved_at = update.status === 'resolved' ? now.toISOString() : null;
+      if (update.status === 'resolved') {
+        this.metrics.counter('followups_resolved', 1, { within_sla: String(!isSlaBreached(next, now)) });
+      }
+    }
+    if (update.status || update.due_at) {
+      update.sla_breached = isSlaBreached(next, now);
+    }
+
+    await this.teable.updateRecord('followup_cases', caseId, update);
+    this.logger.info('Follow-up case updated', { caseId, ...update });
+    return toCase(await this.getRecord(caseId));
+  }
+
+  async addNote(caseId, text, author) {
+    if (typeof text !== 'string' || !text.trim() || text.length > 5000) {
+      throw followUpError('Follow-up note is invalid', 'INVALID_FOLLOW_UP', 422, [
+        { path: 'text', message: 'Must be 1-5000 characters' }
+      ]);
+    }
+
+    const current = toCase(await this.getRecord(caseId));
+    const notes = [...current.notes, { at: new Date().toISOString(), author: author || null, text: text.trim() }];
+    await this.teable.updateRecord('followup_cases', caseId, { notes: JSON.stringify(notes) });
+    return { ...current, notes };
+  }
+
+  // Flag unresolved cases that have passed their due date
+  async checkSla() {
+    const records = await this.teable.getAllRecords('followup_cases', {
+      filterByFormula: `AND({status} != "resolved", NOT({sla_breached}))`
+    });
+    const now = new Date();
+
+    for (const followUp of records.map(toCase).filter(c => isSlaBreached(c, now))) {
+      await this.teable.updateRecord('followup_cases', followUp.id, { sla_breached: true });
+      this.metrics.counter('followup_sla_breaches', 1);
+      this.logger.warn('Follow-up case breached its SLA', {
+        caseId: followUp.id,
+        owner: followUp.owner,
+        dueAt: followUp.due_at
+      });
+    }
+  }
+
+  start() {
+    this.sweep.start();
+  }
+
+  stop() {
+    this.sweep.stop();
+  }
+}
+
+module.exports = {
+  STATUSES,
+  isSlaBreached,
+  toCase,
+  FollowUps
+};
@@ -0,0 +1,10 @@
+// formula.js - Building Teable filterByFormula expressions from untrusted values
+
+// Escape a value for use inside a double-quoted Teable formula string
+function escapeFormulaValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+module.exports = {
+  escapeFormulaValue
+};
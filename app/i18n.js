@@ -0,0 +1,219 @@
+// i18n.js - Locale selection and translated messages for customer-facing pages
+
+const SUPPORTED_LOCALES = ['en', 'fr', 'es'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+
+const MESSAGES = {
+  en: {
+    survey_title_default: 'Customer Survey',
+    ticket_details: 'Ticket Details',
+    ticket_number: 'Ticket #:',
+    subject: 'Subject:',
+    technician: 'Technician:',
+    company: 'Company:',
+    completed: 'Completed:',
+    priority: 'Priority:',
+    category: 'Category:',
+    not_available: 'N/A',
+    submit: 'Submit Feedback',
+    submitting: 'Submitting...',
+    submitted: '✓ Submitted!',
+    privacy_note: 'Your feedback helps us improve our service quality',
+    thank_you: 'Thank You!',
+    thank_you_subtitle: 'Your feedback has been submitted successfully',
+    feedback_received: 'Feedback Received',
+    feedback_received_body: 'Thank you for taking the time to share your experience with us. Your feedback helps us improve our service quality.',
+    submit_failed: 'Failed to submit survey. Please try again.',
+    survey_complete_title: 'Survey Complete',
+    error_title: 'Survey Unavailable',
+    already_completed: 'Thank you! You have already completed this survey.',
+    reminders_stopped: 'You will not receive any more reminders about this survey.',
+    stop_reminders_title: 'Stop Reminders',
+    stop_reminders_confirm: 'Stop sending reminder emails about this survey?',
+    stop_reminders_button: 'Stop reminders',
+    invalid_token: 'Invalid survey token format',
+    not_found: 'Survey not found or expired',
+    expired: 'This survey has expired',
+    no_surveys: 'No surveys available',
+    not_configured: 'Survey system not configured properly',
+    yes: 'Yes',
+    no: 'No',
+    required: 'An answer is required',
+    invalid_value: 'Please check this answer',
+    rating_low: 'Very Poor',
+    rating_high: 'Excellent',
+    nps_low: 'Not at all likely',
+    nps_high: 'Extremely likely',
+    ces_low: 'Very difficult',
+    ces_high: 'Very easy',
+    fallback_overall: 'How satisfied are you with our service?',
+    fallback_comments: 'Any additional comments?'
+  },
+  fr: {
+    survey_title_default: 'Enquête de satisfaction',
+    ticket_details: 'Détails du ticket',
+    ticket_number: 'Ticket n° :',
+    subject: 'Objet :',
+    technician: 'Technicien :',
+    company: 'Entreprise :',
+    completed: 'Résolu le :',
+    priority: 'Priorité :',
+    category: 'Catégorie :',
+    not_available: 'N/D',
+    submit: 'Envoyer mon avis',
+    submitting: 'Envoi en cours...',
+    submitted: '✓ Envoyé !',
+    privacy_note: 'Vos commentaires nous aident à améliorer la qualité de notre service',
+    thank_you: 'Merci !',
+    thank_you_subtitle: 'Votre avis a bien été envoyé',
+    feedback_received: 'Avis reçu',
+    feedback_received_body: 'Merci d\'avoir pris le temps de partager votre expérience. Vos commentaires nous aident à améliorer la qualité de notre service.',
+    submit_failed: 'L\'envoi de l\'enquête a échoué. Veuillez réessayer.',
+    survey_complete_title: 'Enquête terminée',
+    error_title: 'Enquête indisponible',
+    already_completed: 'Merci ! Vous avez déjà répondu à cette enquête.',
+    reminders_stopped: 'Vous ne recevrez plus de rappels pour cette enquête.',
+    stop_reminders_title: 'Arrêter les rappels',
+    stop_reminders_confirm: 'Ne plus recevoir de rappels par e-mail pour cette enquête ?',
+    stop_reminders_button: 'Arrêter les rappels',
+    invalid_token: 'Format de lien d\'enquête invalide',
+    not_found: 'Enquête introuvable ou expirée',
+    expired: 'Cette enquête a expiré',
+    no_surveys: 'Aucune enquête disponible',
+    not_configured: 'Le système d\'enquête n\'est pas correctement configuré',
+    yes: 'Oui',
+    no: 'Non',
+    required: 'Une réponse est requise',
+    invalid_value: 'Veuillez vérifier cette réponse',
+    rating_low: 'Très mauvais',
+    rating_high: 'Excellent',
+    nps_low: 'Pas du tout probable',
+    nps_high: 'Très probable',
+    ces_low: 'Très difficile',
+    ces_high: 'Très facile',
+    fallback_overall: 'Dans quelle mesure êtes-vous satisfait de notre service ?',
+    fallback_comments: 'Avez-vous d\'autres commentaires ?'
+  },
+  es: {
+    survey_title_default: 'Encuesta de satisfacción',
+    ticket_details: 'Detalles del ticket',
+    ticket_number: 'Ticket n.º:',
+    subject: 'Asunto:',
+    technician: 'Técnico:',
+    company: 'Empresa:',
+    completed: 'Resuelto:',
+    priority: 'Prioridad:',
+    category: 'Categoría:',
+    not_available: 'N/D',
+    submit: 'Enviar opinión',
+    submitting: 'Enviando...',
+    submitted: '✓ ¡Enviado!',
+    privacy_note: 'Su opinión nos ayuda a mejorar la calidad de nuestro servicio',
+    thank_you: '¡Gracias!',
+    thank_you_subtitle: 'Su opinión se ha enviado correctamente',
+    feedback_received: 'Opinión recibida',
+    feedback_received_body: 'Gracias por dedicar su tiempo a compartir su experiencia. Su opinión nos ayuda a mejorar la calidad de nuestro servicio.',
+    submit_failed: 'No se pudo enviar la encuesta. Inténtelo de nuevo.',
+    survey_complete_title: 'Encuesta completada',
+    error_title: 'Encuesta no disponible',
+    already_completed: '¡Gracias! Ya ha completado esta encuesta.',
+    reminders_stopped: 'No recibirá más recordatorios sobre esta encuesta.',
+    stop_reminders_title: 'Detener recordatorios',
+    stop_reminders_confirm: '¿Dejar de recibir recordatorios por correo sobre esta encuesta?',
+    stop_reminders_button: 'Detener recordatorios',
+    invalid_token: 'Formato de enlace de encuesta no válido',
+    not_found: 'Encuesta no encontrada o caducada',
+    expired: 'Esta encuesta ha caducado',
+    no_surveys: 'No hay encuestas disponibles',
+    not_configured: 'El sistema de encuestas no está configurado correctamente',
+    yes: 'Sí',
+    no: 'No',
+    required: 'Se requiere una respuesta',
+    invalid_value: 'Revise esta respuesta',
+    rating_low: 'Muy malo',
+    rating_high: 'Excelente',
+    nps_low: 'Nada probable',
+    nps_high: 'Muy probable',
+    ces_low: 'Muy difícil',
+    ces_high: 'Muy fácil',
+    fallback_overall: '¿Qué tan satisfecho está con nuestro servicio?',
+    fallback_comments: '¿Algún comentario adicional?'
+  }
+};
+
+// Messages the survey page script needs in the browser
+const CLIENT_MESSAGE_KEYS = [
+  'submitting', 'submitted', 'thank_you', 'thank_you_subtitle', 'feedback_received',
+  'feedback_received_body', 'submit_failed', 'required', 'invalid_value'
+];
+
+// "fr-CA" -> "fr"; returns null for unsupported locales
+function normalizeLocale(value) {
+  if (!value || typeof value !== 'string') return null;
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+// Pick the best supported locale from an Accept-Language header
+function negotiateLocale(acceptLanguage) {
+  if (!acceptLanguage) return null;
+
+  const ranked = acceptLanguage.split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag, q: quality ? parseFloat(quality.slice(2)) || 0 : 1 };
+    })
+    .filter(entry => entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const entry of ranked) {
+    const locale = normalizeLocale(entry.tag);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+function t(locale, key, params = {}) {
+  const messages = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const message = messages[key] !== undefined ? messages[key] : MESSAGES.en[key];
+  if (message === undefined) return key;
+  return message.replace(/{(\w+)}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+// A message in every supported locale, for use as translatable survey definition text
+function allTranslations(key) {
+  return Object.fromEntries(SUPPORTED_LOCALES.map(locale => [locale, t(locale, key)]));
+}
+
+function clientMessages(locale) {
+  return Object.fromEntries(CLIENT_MESSAGE_KEYS.map(key => [key, t(locale, key)]));
+}
+
+// Survey definition text may be a plain string or a { "en": "...", "fr": "..." } map
+function localize(value, locale) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  if (value[locale] !== undefined) return value[locale];
+  if (value[DEFAULT_LOCALE] !== undefined) return value[DEFAULT_LOCALE];
+  return Object.values(value)[0];
+}
+
+function formatDate(value, locale) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString(locale || DEFAULT_LOCALE, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  negotiateLocale,
+  t,
+  allTranslations,
+  clientMessages,
+  localize,
+  formatDate
+};
@@ -0,0 +1,463 @@
+// mailer.js - Survey invitation emails over SMTP, rendered from the email_templates table
+const nodemailer = require('nodemailer');
+const { escapeHtml } = require('./templates');
+const { escapeFormulaValue } = require('./formula');
+const { Sweep, nextRetryAt, isDue } = require('./scheduler');
+
+const SEND_STATUSES = ['queued', 'sent', 'failed', 'bounced', 'suppressed'];
+
+// Minutes to wait before each retry of a temporary SMTP failure
+const RETRY_DELAYS_MINUTES = [5, 30, 120];
+
+// Used when email_templates has no active template
+const DEFAULT_TEMPLATE = {
+  name: 'default',
+  subject: 'How did we do? Ticket #{{ticket_id}}',
+  body: [
+    'Hi {{customer_first_name}},',
+    '',
+    'Your ticket #{{ticket_id}} ({{ticket_subject}}) has been resolved by {{technician_name}}.',
+    'Please take a minute to tell us how we did:',
+    '',
+    '{{survey_url}}',
+    '',
+    'Thank you!'
+  ].join('\n')
+};
+
+// Used for reminders unless REMINDER_EMAIL_TEMPLATE names one
+const DEFAULT_REMINDER_TEMPLATE = {
+  name: 'default-reminder',
+  subject: 'Reminder: how did we do? Ticket #{{ticket_id}}',
+  body: [
+    'Hi {{customer_first_name}},',
+    '',
+    'We would still love to hear how ticket #{{ticket_id}} ({{ticket_subject}}) went. It only takes a minute:',
+    '',
+    '{{survey_url}}',
+    '',
+    'Thank you!',
+    '',
+    'To stop reminders about this survey: {{opt_out_url}}'
+  ].join('\n')
+};
+
+function mailError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function templateValues(fields) {
+  const name = String(fields.customer_name || '').trim();
+  return {
+    customer_name: name,
+    customer_first_name: name.split(/\s+/)[0] || 'there',
+    customer_email: fields.customer_email || '',
+    ticket_id: fields.ticket_external_id || '',
+    ticket_subject: fields.ticket_subject || '',
+    technician_name: fields.technician_name || 'our team',
+    company_name: fields.company_name || '',
+    survey_url: fields.survey_url || '',
+    opt_out_url: fields.survey_url ? `${fields.survey_url}/stop-reminders` : '',
+    expires_at: fields.expires_at ? new Date(fields.expires_at).toISOString().slice(0, 10) : ''
+  };
+}
+
+// Replace {{placeholder}}s; unknown placeholders are left as they are so typos show up in the email
+function fillPlaceholders(text, values, escape) {
+  return String(text || '').replace(/{{\s*(\w+)\s*}}/g, (match, key) => {
+    if (!Object.prototype.hasOwnProperty.call(values, key)) return match;
+    return escape ? escapeHtml(values[key]) : values[key];
+  });
+}
+
+function htmlToText(htmlBody) {
+  return htmlBody
+    .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => `${label.trim()} (${href})`)
+    .replace(/<br\s*\/?>|<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Template bodies may be HTML or plain text; plain text gets a simple HTML version with clickable links
+function renderEmail(template, fields) {
+  const values = templateValues(fields);
+  const subject = fillPlaceholders(template.subject, values, false).replace(/[\r\n]+/g, ' ').trim();
+
+  if (/<[a-z][\s\S]*>/i.test(template.body)) {
+    const htmlBody = fillPlaceholders(template.body, values, true);
+    return { subject, html: htmlBody, text: htmlToText(htmlBody) };
+  }
+
+  const text = fillPlaceholders(template.body, values, false);
+  const htmlBody = escapeHtml(text)
+    .replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}">${url}</a>`)
+    .split(/\n{2,}/).map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`).join('\n');
+  return { subject, html: htmlBody, text };
+}
+
+// SMTP 5xx replies to RCPT TO mean the address does not accept mail; retrying or mailing it again would bounce
+function isRecipientRejected(error) {
+  return error.responseCode >= 500 && error.responseCode < 600 &&
+    (error.command === 'RCPT TO' || (Array.isArray(error.rejected) && error.rejected.length > 0));
+}
+
+// Why a queued email should no longer go out, or null: never for answered or expired surveys,
+// and never a reminder after the customer opted out
+function skipReason(kind, fields) {
+  if (fields.expires_at && new Date(fields.expires_at) < new Date()) return 'Survey has expired';
+  if (kind === 'reminder' && fields.reminders_opt_out) return 'Customer opted out of reminders';
+  const statuses = kind === 'reminder' ? ['pending'] : ['pending', 'partial'];
+  return statuses.includes(fields.status) ? null : `Survey is ${fields.status}`;
+}
+
+// 4xx replies and connection problems are temporary
+function isTemporary(error) {
+  if (error.responseCode) return error.responseCode >= 400 && error.responseCode < 500;
+  return ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNREFUSED', 'ECONNRESET'].includes(error.code);
+}
+
+function describeError(error) {
+  return (error.response || error.message || String(error)).substring(0, 1000);
+}
+
+function toSend(record) {
+  const fields = record.fields || {};
+  return {
+    id: record.id,
+    survey_response_id: fields.survey_response_id || null,
+    ticket_external_id: fields.ticket_external_id || null,
+    to: fields.to || null,
+    kind: fields.kind || 'invitation',
+    template: fields.template || null,
+    subject: fields.subject || null,
+    status: fields.status || null,
+    attempts: fields.attempts || 0,
+    message_id: fields.message_id || null,
+    error_message: fields.error_message || null,
+    next_attempt_at: fields.next_attempt_at || null,
+    sent_at: fields.sent_at || null,
+    created_at: fields.created_at || null
+  };
+}
+
+class Mailer {
+  constructor(options = {}) {
+    this.teable = options.teable;
+    this.logger = options.logger;
+    this.metrics = options.metricsCollector;
+    this.from = options.from || process.env.SMTP_FROM || '';
+    // Envelope sender, so bounces go to a mailbox that is not the visible From address
+    this.bounceAddress = process.env.SMTP_BOUNCE_ADDRESS || '';
+    this.defaultTemplate = process.env.EMAIL_TEMPLATE || '';
+    this.reminderTemplate = process.env.REMINDER_EMAIL_TEMPLATE || '';
+    this.transport = options.transport || (process.env.SMTP_HOST ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      ...(process.env.SMTP_USER && { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } })
+    }) : null);
+    this.cacheTtlMs = options.cacheTtlMs || 60 * 1000;
+    this.cache = null;
+    this.cachedAt = 0;
+    this.inFlight = new Set();
+    this.sweep = new Sweep({
+      task: () => this.retryDue(),
+      intervalMs: options.sweepIntervalMs || 60 * 1000,
+      description: 'retrying survey emails',
+      logger: this.logger
+    });
+  }
+
+  isConfigured() {
+    return !!(this.transport && this.from);
+  }
+
+  async getTemplates() {
+    if (this.cache && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cache;
+    }
+
+    const records = await this.teable.getAllRecords('email_templates', { filterByFormula: `{is_active} = TRUE()` });
+    this.cache = records.map(record => ({
+      name: record.fields.Name || '',
+      subject: record.fields.subject || '',
+      body: record.fields.body || ''
+    }));
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  // The named template, else EMAIL_TEMPLATE (REMINDER_EMAIL_TEMPLATE for reminders), else for invitations
+  // the first active template, else the built-in one
+  async resolveTemplate(name, kind = 'invitation') {
+    const templates = await this.getTemplates();
+    const wanted = name || (kind === 'reminder' ? this.reminderTemplate : this.defaultTemplate);
+
+    if (wanted) {
+      const template = templates.find(t => t.name.toLowerCase() === wanted.toLowerCase());
+      if (!template) {
+        throw mailError(`No active email template named "${wanted}"`, 'TEMPLATE_NOT_FOUND', 404);
+      }
+      if (!template.subject || !/{{\s*survey_url\s*}}/.test(template.body)) {
+        throw mailError(`Email template "${template.name}" needs a subject and a {{survey_url}} placeholder`, 'INVALID_TEMPLATE', 422);
+      }
+      return template;
+    }
+
+    if (kind === 'reminder') return DEFAULT_REMINDER_TEMPLATE;
+    return templates.find(t => t.subject && /{{\s*survey_url\s*}}/.test(t.body)) || DEFAULT_TEMPLATE;
+  }
+
+  async isSuppressed(email) {
+    const record = await this.teable.getRecord('email_suppressions', {
+      filterByFormula: `{email} = "${escapeFormulaValue(normalizeEmail(email))}"`
+    });
+    return !!record;
+  }
+
+  // Stop mailing an address: after a hard bounce, a complaint, or a bounce reported by the mail provider
+  async suppress(email, reason, source) {
+    const address = normalizeEmail(email);
+    if (await this.isSuppressed(address)) return false;
+
+    await this.teable.createRecord('email_suppressions', {
+      Name: address,
+      email: address,
+      reason: String(reason || '').substring(0, 1000),
+      source: source || 'smtp',
+      created_at: new Date().toISOString()
+    });
+    this.metrics.counter('email_suppressions_added', 1, { source: source || 'smtp' });
+    this.logger.warn('Email address suppressed', { email: address, source, reason });
+    return true;
+  }
+
+  async listSuppressions() {
+    const records = await this.teable.getAllRecords('email_suppressions');
+    return records
+      .map(record => ({
+        id: record.id,
+        email: record.fields.email || null,
+        reason: record.fields.reason || null,
+        source: record.fields.source || null,
+        created_at: record.fields.created_at || null
+      }))
+      .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0));
+  }
+
+  async removeSuppression(email) {
+    const address = normalizeEmail(email);
+    const record = await this.teable.getRecord('email_suppressions', {
+      filterByFormula: `{email} = "${escapeFormulaValue(address)}"`
+    });
+    if (!record) {
+      throw mailError('Address is not suppressed', 'NOT_FOUND', 404);
+    }
+    await this.teable.deleteRecord('email_suppressions', record.id);
+    this.logger.info('Email suppression removed', { email: address });
+  }
+
+  async listSends(filters = {}) {
+    if (filters.status && !SEND_STATUSES.includes(filters.status)) {
+      throw mailError(`status must be one of: ${SEND_STATUSES.join(', ')}`, 'INVALID_FILTER', 400);
+    }
+    const conditions = [];
+    if (filters.status) conditions.push(`{status} = "${filters.status}"`);
+    if (filters.ticketId) conditions.push(`{ticket_external_id} = "${escapeFormulaValue(filters.ticketId)}"`);
+
+    const records = await this.teable.getAllRecords('email_sends', {
+      ...(conditions.length > 0 && { filterByFormula: `AND(${conditions.join(', ')})` })
+    });
+    return records
+      .map(toSend)
+      .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0))
+      .slice(0, filters.limit || 100);
+  }
+
+  // Email a survey response's invitation and log it in email_sends; returns the send log entry
+  async send(surveyResponse, options = {}) {
+    if (!this.isConfigured()) {
+      throw mailError('SMTP is not configured', 'EMAIL_NOT_CONFIGURED', 503);
+    }
+
+    const fields = surveyResponse.fields;
+    const reason = skipReason(options.kind || 'invitation', fields);
+    if (reason) {
+      throw mailError(`${reason}; not sent`, 'SURVEY_CLOSED', 409);
+    }
+
+    const template = await this.resolveTemplate(options.template, options.kind);
+    const { subject } = renderEmail(template, fields);
+    const to = normalizeEmail(fields.customer_email);
+    const suppressed = await this.isSuppressed(to);
+
+    const result = await this.teable.createRecord('email_sends', {
+      Name: `${options.kind || 'invitation'} - ${fields.ticket_external_id || surveyResponse.id}`,
+      survey_response_id: surveyResponse.id,
+      ticket_external_id: fields.ticket_external_id || '',
+      to,
+      kind: options.kind || 'invitation',
+      template: template.name,
+      subject,
+      status: suppressed ? 'suppressed' : 'queued',
+      attempts: 0,
+      ...(suppressed && { error_message: 'Address is suppressed after an earlier bounce' }),
+      created_at: new Date().toISOString()
+    });
+    const send = result.records[0];
+
+    if (suppressed) {
+      this.metrics.counter('emails_suppressed', 1, { kind: options.kind || 'invitation' });
+      this.logger.info('Not emailing suppressed address', { email: to, recordId: surveyResponse.id });
+      return toSend(send);
+    }
+
+    return this.attempt(send, surveyResponse, template);
+  }
+
+  // One SMTP attempt for a queued send; temporary failures are queued for the retry sweep
+  async attempt(send, surveyResponse, template) {
+    if (this.inFlight.has(send.id)) return toSend(send);
+    this.inFlight.add(send.id);
+
+    const kind = send.fields.kind || 'invitation';
+    const attempts = (send.fields.attempts || 0) + 1;
+    let update;
+
+    try {
+      const email = renderEmail(template, surveyResponse.fields);
+      const optOutUrl = templateValues(surveyResponse.fields).opt_out_url;
+      const info = await this.transport.sendMail({
+        from: this.from,
+        to: send.fields.to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        ...(this.bounceAddress && { envelope: { from: this.bounceAddress, to: send.fields.to } }),
+        // Keep out-of-office and other auto-replies from answering an automated message
+        headers: {
+          'Auto-Submitted': 'auto-generated',
+          'X-Auto-Response-Suppress': 'OOF, AutoReply',
+          // Mail clients' unsubscribe button stops reminders for this survey
+          ...(optOutUrl && { 'List-Unsubscribe': `<${optOutUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' })
+        }
+      });
+
+      update = {
+        status: 'sent',
+        attempts,
+        message_id: info.messageId || '',
+        error_message: '',
+        next_attempt_at: null,
+        sent_at: new Date().toISOString()
+      };
+      this.metrics.counter('emails_sent', 1, { kind });
+      this.logger.info('Survey email sent', { kind, email: send.fields.to, recordId: surveyResponse.id, messageId: info.messageId });
+    } catch (error) {
+      const nextAttemptAt = isTemporary(error) ? nextRetryAt(attempts, RETRY_DELAYS_MINUTES) : null;
+      const retry = !!nextAttemptAt;
+      const bounced = isRecipientRejected(error);
+      update = {
+        status: bounced ? 'bounced' : retry ? 'queued' : 'failed',
+        attempts,
+        error_message: describeError(error),
+        next_attempt_at: nextAttemptAt
+      };
+      this.metrics.counter('emails_failed', 1, { kind, status: update.status });
+      this.logger[retry ? 'warn' : 'error']('Survey email failed', {
+        kind, email: send.fields.to, recordId: surveyResponse.id, attempts, status: update.status, error: update.error_message
+      });
+
+      if (bounced) {
+        await this.suppress(send.fields.to, update.error_message, 'smtp').catch(suppressError => {
+          this.logger.error('Unable to suppress bounced address', { email: send.fields.to, error: suppressError.message });
+        });
+      }
+    }
+
+    try {
+      await this.teable.updateRecord('email_sends', send.id, update);
+      if (update.status === 'sent' && kind === 'invitation') {
+        await this.teable.updateRecord('survey_responses', surveyResponse.id, { invitation_sent_at: update.sent_at });
+      }
+    } catch (error) {
+      this.logger.error('Unable to store email send status', { sendId: send.id, error: error.message });
+    } finally {
+      this.inFlight.delete(send.id);
+    }
+
+    return toSend({ id: send.id, fields: { ...send.fields, ...update } });
+  }
+
+  // Retry queued sends whose next attempt is due; see skipReason for the ones that are dropped
+  async retryDue() {
+    const records = await this.teable.getAllRecords('email_sends', { filterByFormula: `{status} = "queued"` });
+    const now = Date.now();
+
+    for (const send of records.filter(r => isDue(r.fields.next_attempt_at, now))) {
+
+      try {
+        const surveyResponse = await this.teable.getRecordById('survey_responses', send.fields.survey_response_id);
+        const kind = send.fields.kind || 'invitation';
+        const reason = skipReason(kind, surveyResponse.fields);
+        if (reason) {
+          await this.teable.updateRecord('email_sends', send.id, {
+            status: 'failed',
+            error_message: `${reason}; not sent`,
+            next_attempt_at: null
+          });
+          continue;
+        }
+
+        const builtIn = [DEFAULT_TEMPLATE.name, DEFAULT_REMINDER_TEMPLATE.name].includes(send.fields.template);
+        const template = await this.resolveTemplate(builtIn ? '' : send.fields.template, kind);
+        await this.attempt(send, surveyResponse, template);
+      } catch (error) {
+        this.logger.error('Error retrying survey email', { sendId: send.id, error: error.message });
+        // A deleted survey or a template that was removed will not come back on the next sweep
+        if (error.status === 404 || error.code === 'INVALID_TEMPLATE') {
+          await this.teable.updateRecord('email_sends', send.id, {
+            status: 'failed',
+            error_message: error.message.substring(0, 1000),
+            next_attempt_at: null
+          }).catch(() => {});
+        }
+      }
+    }
+  }
+
+  start() {
+    if (!this.isConfigured()) return;
+    this.sweep.start();
+  }
+
+  stop() {
+    this.sweep.stop();
+  }
+}
+
+module.exports = {
+  SEND_STATUSES,
+  DEFAULT_TEMPLATE,
+  DEFAULT_REMINDER_TEMPLATE,
+  mailError,
+  renderEmail,
+  normalizeEmail,
+  Mailer
+};
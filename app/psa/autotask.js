@@ -0,0 +1,101 @@
+// psa/autotask.js - Autotask PSA REST API client, webhook parsing and ticket mapping
+const axios = require('axios');
+
+// Default labels of the Priority picklist
+const PRIORITY_LABELS = { 1: 'High', 2: 'Medium', 3: 'Low', 4: 'Critical' };
+
+class AutotaskClient {
+  constructor(options = {}) {
+    // Zone URL of the account, e.g. https://webservices2.autotask.net
+    this.zoneUrl = (options.zoneUrl || process.env.AUTOTASK_ZONE_URL || '').replace(/\/+$/, '');
+    this.username = options.username || process.env.AUTOTASK_API_USER;
+    this.secret = options.secret || process.env.AUTOTASK_API_SECRET;
+    this.integrationCode = options.integrationCode || process.env.AUTOTASK_INTEGRATION_CODE;
+
+    this.client = axios.create({
+      baseURL: `${this.zoneUrl}/ATServicesRest/V1.0`,
+      timeout: options.timeout || 15000,
+      headers: {
+        'ApiIntegrationCode': this.integrationCode,
+        'UserName': this.username,
+        'Secret': this.secret,
+        'Accept': 'application/json',
+        'User-Agent': 'OpenCSAT/1.0'
+      }
+    });
+  }
+
+  isConfigured() {
+    return !!(this.zoneUrl && this.username && this.secret && this.integrationCode);
+  }
+
+  async getEntity(entity, id) {
+    const response = await this.client.get(`/${entity}/${encodeURIComponent(id)}`);
+    return response.data.item || null;
+  }
+
+  // Webhooks only carry IDs, so look up the contact, resource and company behind a ticket
+  async getTicketDetails(ticketId) {
+    const ticket = await this.getEntity('Tickets', ticketId);
+    if (!ticket) return null;
+
+    const [contact, resource, company] = await Promise.all([
+      ticket.contactID ? this.getEntity('Contacts', ticket.contactID) : null,
+      ticket.assignedResourceID ? this.getEntity('Resources', ticket.assignedResourceID) : null,
+      ticket.companyID ? this.getEntity('Companies', ticket.companyID) : null
+    ]);
+
+    return { ticket, contact, resource, company };
+  }
+}
+
+// Webhook field names are PascalCase while the REST API uses camelCase
+function field(entity, name) {
+  if (!entity) return undefined;
+  const key = Object.keys(entity).find(k => k.toLowerCase() === name.toLowerCase());
+  return key !== undefined ? entity[key] : undefined;
+}
+
+function ticketFromWebhook(payload = {}) {
+  if (String(payload.EntityType || '').toLowerCase() !== 'ticket' || payload.Id === undefined) {
+    return null;
+  }
+  return { id: payload.Id, ...(payload.Fields || {}) };
+}
+
+// Each change to an entity gets the next SequenceNumber; retries reuse it
+function webhookDeliveryId(payload = {}) {
+  return payload.Id !== undefined && payload.SequenceNumber !== undefined
+    ? `${payload.Id}:${payload.SequenceNumber}`
+    : '';
+}
+
+function fullName(entity) {
+  return [field(entity, 'firstName'), field(entity, 'lastName')].filter(Boolean).join(' ');
+}
+
+// Map an Autotask ticket (and the records it refers to) onto the fields survey links carry
+function mapAutotaskTicket(ticket = {}, related = {}) {
+  const priority = field(ticket, 'priority');
+  const status = field(ticket, 'status');
+
+  return {
+    ticket_id: field(ticket, 'ticketNumber') || (ticket.id !== undefined ? String(ticket.id) : ''),
+    customer_email: field(related.contact, 'emailAddress') || '',
+    customer_name: fullName(related.contact),
+    ticket_subject: field(ticket, 'title') || '',
+    technician_name: fullName(related.resource),
+    company_name: field(related.company, 'companyName') || '',
+    completion_date: field(ticket, 'completedDate') || field(ticket, 'lastActivityDate') || new Date().toISOString(),
+    priority: PRIORITY_LABELS[priority] || (priority !== undefined && priority !== null ? String(priority) : ''),
+    category: '',
+    status: status !== undefined && status !== null ? String(status) : ''
+  };
+}
+
+module.exports = {
+  AutotaskClient,
+  ticketFromWebhook,
+  webhookDeliveryId,
+  mapAutotaskTicket
+};
@@ -0,0 +1,89 @@
+// psa/connectwise.js - ConnectWise Manage REST API client, callback parsing and ticket mapping
+const axios = require('axios');
+
+class ConnectWiseClient {
+  constructor(options = {}) {
+    // API host of the Manage instance, e.g. api-na.myconnectwise.net
+    this.site = options.site || process.env.CONNECTWISE_SITE;
+    this.companyId = options.companyId || process.env.CONNECTWISE_COMPANY_ID;
+    this.publicKey = options.publicKey || process.env.CONNECTWISE_PUBLIC_KEY;
+    this.privateKey = options.privateKey || process.env.CONNECTWISE_PRIVATE_KEY;
+    this.clientId = options.clientId || process.env.CONNECTWISE_CLIENT_ID;
+    // CONNECTWISE_API_URL points the client at another server, such as scripts/psa-stub-server.js
+    this.apiUrl = options.baseUrl || process.env.CONNECTWISE_API_URL;
+
+    const credentials = Buffer.from(`${this.companyId}+${this.publicKey}:${this.privateKey}`).toString('base64');
+    this.client = axios.create({
+      baseURL: this.apiUrl || `https://${this.site}/v4_6_release/apis/3.0`,
+      timeout: options.timeout || 15000,
+      headers: {
+        'Authorization': `Basic ${credentials}`,
+        'clientId': this.clientId,
+        'Accept': 'application/json',
+        'User-Agent': 'OpenCSAT/1.0'
+      }
+    });
+  }
+
+  isConfigured() {
+    return !!((this.apiUrl || this.site) && this.companyId && this.publicKey && this.privateKey && this.clientId);
+  }
+
+  // Internal note on the service ticket
+  async addNote(ticketId, note) {
+    const response = await this.client.post(`/service/tickets/${encodeURIComponent(ticketId)}/notes`, {
+      text: `${note.subject}\n\n${note.text}`,
+      detailDescriptionFlag: false,
+      internalAnalysisFlag: true
+    });
+    return response.data;
+  }
+}
+
+// Callbacks carry the changed ticket as a JSON string in `Entity`
+function ticketFromCallback(payload = {}) {
+  const entity = payload.Entity;
+  if (!entity) return null;
+  if (typeof entity === 'object') return entity;
+  try {
+    return JSON.parse(entity);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Manage retries callbacks it considers failed with the same MessageId; older
+// versions omit it, so fall back to the ticket's last update time
+function callbackDeliveryId(payload = {}, ticket = null) {
+  if (payload.MessageId) return String(payload.MessageId);
+  const updated = ticket?._info?.lastUpdated;
+  return payload.ID && updated ? `${payload.ID}:${updated}` : '';
+}
+
+function isClosedTicket(ticket = {}) {
+  return ticket.closedFlag === true;
+}
+
+// Map a Manage service ticket onto the fields survey links carry (same values as the email template's merge fields)
+function mapConnectWiseTicket(ticket = {}) {
+  return {
+    ticket_id: ticket.id !== undefined ? String(ticket.id) : '',
+    customer_email: ticket.contactEmailAddress || '',
+    customer_name: ticket.contactName || ticket.contact?.name || '',
+    ticket_subject: ticket.summary || '',
+    technician_name: ticket.owner?.name || ticket.resources || '',
+    company_name: ticket.company?.name || '',
+    completion_date: ticket.closedDate || ticket._info?.lastUpdated || new Date().toISOString(),
+    priority: ticket.priority?.name || '',
+    category: ticket.board?.name || '',
+    status: ticket.status?.name || ''
+  };
+}
+
+module.exports = {
+  ConnectWiseClient,
+  ticketFromCallback,
+  callbackDeliveryId,
+  isClosedTicket,
+  mapConnectWiseTicket
+};
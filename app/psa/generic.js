@@ -0,0 +1,293 @@
+// psa/generic.js - Webhook mappings for PSAs without a dedicated receiver, stored in system_config
+const { matchesCondition } = require('../routing');
+
+// system_config records named "webhook_mapping:<name>" hold a mapping as JSON in `value`
+const CONFIG_PREFIX = 'webhook_mapping:';
+const NAME_PATTERN = /^[a-z0-9_-]{1,50}$/;
+
+// Ticket fields a mapping can fill, the same ones create-and-redirect accepts
+const MAPPED_FIELDS = [
+  'ticket_id', 'customer_email', 'customer_name', 'ticket_subject', 'technician_name',
+  'company_name', 'completion_date', 'priority', 'category'
+];
+const REQUIRED_FIELDS = ['ticket_id', 'customer_email'];
+const MAPPING_KEYS = ['description', 'fields', 'closed_when', 'delivery_id', 'event_type'];
+
+function mappingError(message, code, status, errors) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+// Supported JSONPath subset: $.a.b, $.items[0].name and $['key with spaces']
+const SEGMENT = /\.([A-Za-z0-9_$-]+)|\[(\d+)\]|\[(['"])(.*?)\3\]/y;
+
+function parsePath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error(`'${path}' is not a path; paths start with $`);
+  }
+
+  const segments = [];
+  SEGMENT.lastIndex = 1;
+  while (SEGMENT.lastIndex < path.length) {
+    const start = SEGMENT.lastIndex;
+    const match = SEGMENT.exec(path);
+    if (!match) {
+      throw new Error(`Cannot parse '${path}' at position ${start}`);
+    }
+    segments.push(match[1] ?? (match[2] !== undefined ? Number(match[2]) : match[4]));
+  }
+  return segments;
+}
+
+function extractPath(payload, path) {
+  let value = payload;
+  for (const segment of parsePath(path)) {
+    if (value === null || value === undefined || typeof value !== 'object') return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+function toText(value) {
+  if (value === null || value === undefined || typeof value === 'object') return '';
+  return String(value).trim();
+}
+
+const PLACEHOLDER = /\{(\$[^}]*)\}/g;
+
+// An expression is a path ("$.ticket.id"), a list of expressions where the first non-empty
+// result wins, a template ("{$.first_name} {$.last_name}"), or a fixed value
+function evaluate(expression, payload) {
+  if (Array.isArray(expression)) {
+    for (const option of expression) {
+      const value = evaluate(option, payload);
+      if (value) return value;
+    }
+    return '';
+  }
+  if (expression.startsWith('$')) {
+    return toText(extractPath(payload, expression));
+  }
+  if (expression.includes('{$')) {
+    return expression
+      .replace(PLACEHOLDER, (placeholder, path) => toText(extractPath(payload, path)))
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  return expression;
+}
+
+function expressionErrors(expression, path) {
+  if (Array.isArray(expression)) {
+    if (expression.length === 0) return [{ path, message: 'Must list at least one expression' }];
+    return expression.flatMap((option, i) => expressionErrors(option, `${path}[${i}]`));
+  }
+  if (typeof expression !== 'string' || !expression) {
+    return [{ path, message: 'Must be a path, template, fixed value or a list of them' }];
+  }
+
+  const paths = expression.startsWith('$')
+    ? [expression]
+    : [...expression.matchAll(PLACEHOLDER)].map(match => match[1]);
+  const errors = [];
+  for (const jsonPath of paths) {
+    try {
+      parsePath(jsonPath);
+    } catch (error) {
+      errors.push({ path, message: error.message });
+    }
+  }
+  return errors;
+}
+
+function isCondition(condition) {
+  if (Array.isArray(condition)) return condition.every(value => typeof value !== 'object' || value === null);
+  if (condition && typeof condition === 'object') return typeof condition.contains === 'string';
+  return true;
+}
+
+// A mapping is { description, fields, closed_when, delivery_id, event_type }:
+//   fields       ticket field -> expression; ticket_id and customer_email are required
+//   closed_when  path -> condition, in the routing_rules format; all must match ({} matches every delivery)
+//   delivery_id  optional expression identifying the delivery, so resent ones are skipped
+//   event_type   optional expression stored in webhook_logs
+function validateMapping(value) {
+  let mapping = value;
+  if (typeof value === 'string') {
+    try {
+      mapping = JSON.parse(value);
+    } catch (error) {
+      throw mappingError('Mapping is not valid JSON', 'INVALID_MAPPING', 422);
+    }
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw mappingError('Mapping must be a JSON object', 'INVALID_MAPPING', 422);
+  }
+
+  const errors = [];
+  for (const key of Object.keys(mapping)) {
+    if (!MAPPING_KEYS.includes(key)) {
+      errors.push({ path: key, message: `Unknown key; expected one of: ${MAPPING_KEYS.join(', ')}` });
+    }
+  }
+  if (mapping.description !== undefined && typeof mapping.description !== 'string') {
+    errors.push({ path: 'description', message: 'Must be text' });
+  }
+
+  if (!mapping.fields || typeof mapping.fields !== 'object' || Array.isArray(mapping.fields)) {
+    errors.push({ path: 'fields', message: 'Must be an object of ticket field -> expression' });
+  } else {
+    for (const [field, expression] of Object.entries(mapping.fields)) {
+      if (!MAPPED_FIELDS.includes(field)) {
+        errors.push({ path: `fields.${field}`, message: `Unknown ticket field; expected one of: ${MAPPED_FIELDS.join(', ')}` });
+      } else {
+        errors.push(...expressionErrors(expression, `fields.${field}`));
+      }
+    }
+    for (const field of REQUIRED_FIELDS) {
+      if (mapping.fields[field] === undefined) {
+        errors.push({ path: `fields.${field}`, message: 'Required' });
+      }
+    }
+  }
+
+  if (!mapping.closed_when || typeof mapping.closed_when !== 'object' || Array.isArray(mapping.closed_when)) {
+    errors.push({ path: 'closed_when', message: 'Must be an object of path -> condition' });
+  } else {
+    for (const [path, condition] of Object.entries(mapping.closed_when)) {
+      errors.push(...expressionErrors(path, `closed_when.${path}`));
+      if (!path.startsWith('$')) {
+        errors.push({ path: `closed_when.${path}`, message: 'Keys must be paths' });
+      }
+      if (!isCondition(condition)) {
+        errors.push({ path: `closed_when.${path}`, message: 'Must be a value, a list of values or { "contains": "..." }' });
+      }
+    }
+  }
+
+  for (const key of ['delivery_id', 'event_type']) {
+    if (mapping[key] !== undefined) {
+      errors.push(...expressionErrors(mapping[key], key));
+    }
+  }
+
+  if (errors.length > 0) {
+    throw mappingError('Webhook mapping is invalid', 'INVALID_MAPPING', 422, errors);
+  }
+  return mapping;
+}
+
+// Run a mapping against a payload; nothing is created
+function applyMapping(mapping, payload = {}) {
+  const conditions = Object.entries(mapping.closed_when).map(([path, condition]) => {
+    const actual = extractPath(payload, path);
+    return { path, actual: actual === undefined ? null : actual, matched: matchesCondition(condition, actual) };
+  });
+
+  const fields = {};
+  for (const [field, expression] of Object.entries(mapping.fields)) {
+    fields[field] = evaluate(expression, payload);
+  }
+
+  return {
+    closure: conditions.every(condition => condition.matched),
+    conditions,
+    delivery_id: mapping.delivery_id ? evaluate(mapping.delivery_id, payload) : '',
+    event_type: mapping.event_type ? evaluate(mapping.event_type, payload) : '',
+    fields
+  };
+}
+
+function validateName(name) {
+  if (!NAME_PATTERN.test(name || '')) {
+    throw mappingError('Mapping name must be 1-50 lowercase letters, digits, - or _', 'INVALID_MAPPING_NAME', 400);
+  }
+  return name;
+}
+
+class WebhookMappings {
+  constructor(options = {}) {
+    this.teable = options.teable;
+    this.logger = options.logger;
+    this.cacheTtlMs = options.cacheTtlMs || 60 * 1000;
+    this.cache = new Map();
+  }
+
+  async findRecord(name) {
+    return this.teable.getRecord('system_config', {
+      filterByFormula: `{Name} = "${CONFIG_PREFIX}${validateName(name)}"`,
+      maxRecords: 1
+    });
+  }
+
+  async list() {
+    const records = await this.teable.getAllRecords('system_config');
+    return records
+      .filter(record => String(record.fields.Name || '').startsWith(CONFIG_PREFIX))
+      .map(record => {
+        const name = record.fields.Name.slice(CONFIG_PREFIX.length);
+        try {
+          return { name, mapping: validateMapping(record.fields.value), valid: true };
+        } catch (error) {
+          return { name, valid: false, error: error.message, errors: error.errors };
+        }
+      });
+  }
+
+  async get(name) {
+    const cached = this.cache.get(name);
+    if (cached && Date.now() - cached.at < this.cacheTtlMs) {
+      return cached.mapping;
+    }
+
+    const record = await this.findRecord(name);
+    if (!record) {
+      throw mappingError(`Webhook mapping '${name}' not found`, 'MAPPING_NOT_FOUND', 404);
+    }
+
+    let mapping;
+    try {
+      mapping = validateMapping(record.fields.value);
+    } catch (error) {
+      // Edited by hand in Teable; the sender cannot fix it, so report it as a server problem
+      this.logger.error('Invalid webhook mapping in system_config', { name, error: error.message, errors: error.errors });
+      throw mappingError(`Webhook mapping '${name}' is invalid`, 'INVALID_MAPPING', 500, error.errors);
+    }
+
+    this.cache.set(name, { mapping, at: Date.now() });
+    return mapping;
+  }
+
+  async save(name, body) {
+    const mapping = validateMapping(body);
+    const record = await this.findRecord(name);
+    const fields = {
+      value: JSON.stringify(mapping),
+      description: mapping.description || `Webhook mapping for /webhook/generic/${name}`
+    };
+
+    if (record) {
+      await this.teable.updateRecord('system_config', record.id, fields);
+    } else {
+      await this.teable.createRecord('system_config', { Name: `${CONFIG_PREFIX}${name}`, ...fields });
+    }
+
+    this.cache.delete(name);
+    this.logger.info('Webhook mapping saved', { name });
+    return mapping;
+  }
+}
+
+module.exports = {
+  MAPPED_FIELDS,
+  parsePath,
+  extractPath,
+  evaluate,
+  validateMapping,
+  applyMapping,
+  validateName,
+  WebhookMappings
+};
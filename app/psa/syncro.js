@@ -0,0 +1,75 @@
+// psa/syncro.js - SyncroMSP REST API client and ticket mapping
+const axios = require('axios');
+
+class SyncroClient {
+  constructor(options = {}) {
+    this.subdomain = options.subdomain || process.env.SYNCRO_SUBDOMAIN;
+    this.apiKey = options.apiKey || process.env.SYNCRO_API_KEY;
+
+    // SYNCRO_API_URL points the client at another server, such as scripts/psa-stub-server.js
+    this.apiUrl = options.baseUrl || process.env.SYNCRO_API_URL;
+
+    this.client = axios.create({
+      baseURL: this.apiUrl || `https://${this.subdomain}.syncromsp.com/api/v1`,
+      timeout: options.timeout || 15000,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Accept': 'application/json',
+        'User-Agent': 'OpenCSAT/1.0'
+      }
+    });
+  }
+
+  isConfigured() {
+    return !!((this.apiUrl || this.subdomain) && this.apiKey);
+  }
+
+  async getTicket(ticketId) {
+    const response = await this.client.get(`/tickets/${encodeURIComponent(ticketId)}`);
+    return response.data.ticket || response.data;
+  }
+
+  // Private comment on the ticket; the customer is not emailed
+  async addNote(ticketId, note) {
+    const response = await this.client.post(`/tickets/${encodeURIComponent(ticketId)}/comment`, {
+      subject: note.subject,
+      body: note.text,
+      hidden: true,
+      do_not_email: true
+    });
+    return response.data;
+  }
+}
+
+// Syncro webhooks wrap the ticket in `attributes`; API responses return it directly
+function ticketFromPayload(payload = {}) {
+  return payload.attributes || payload.ticket || payload;
+}
+
+// Map a Syncro ticket onto the fields survey links carry (same values as the email template's merge fields)
+function mapSyncroTicket(ticket = {}) {
+  const customer = ticket.customer || {};
+  const contact = ticket.contact || {};
+  const user = ticket.user || {};
+
+  return {
+    ticket_id: ticket.id !== undefined ? String(ticket.id) : '',
+    ticket_number: ticket.number !== undefined ? String(ticket.number) : '',
+    customer_email: contact.email || customer.email || ticket.customer_email || '',
+    customer_name: contact.name || customer.fullname ||
+      [customer.firstname, customer.lastname].filter(Boolean).join(' ') || ticket.customer_business_then_name || '',
+    ticket_subject: ticket.subject || '',
+    technician_name: user.full_name || ticket.assigned_user || '',
+    company_name: customer.business_name || ticket.customer_business_then_name || '',
+    completion_date: ticket.resolved_at || ticket.updated_at || new Date().toISOString(),
+    priority: ticket.priority || '',
+    category: ticket.problem_type || '',
+    status: ticket.status || ''
+  };
+}
+
+module.exports = {
+  SyncroClient,
+  ticketFromPayload,
+  mapSyncroTicket
+};
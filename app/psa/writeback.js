@@ -0,0 +1,196 @@
+// psa/writeback.js - Posts completed survey results to the original PSA ticket as a note, with retries
+const { Sweep, nextRetryAt, isDue } = require('../scheduler');
+
+// Minutes to wait before each retry; a write-back fails for good after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+
+function formatNote(fields) {
+  const rating = fields.overall_rating !== undefined && fields.overall_rating !== null ? fields.overall_rating : 'not given';
+  const comments = String(fields.comments || '').trim();
+  const submitted = fields.submitted_at ? new Date(fields.submitted_at).toISOString().slice(0, 10) : '';
+
+  return {
+    subject: 'Customer satisfaction survey',
+    text: [
+      `Rating: ${rating}`,
+      `Comments: ${comments || 'none'}`,
+      `Submitted by ${fields.customer_name || fields.customer_email || 'the customer'}${submitted ? ` on ${submitted}` : ''}`
+    ].join('\n')
+  };
+}
+
+// Client errors other than timeouts and rate limiting would fail the same way again
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+function describeError(error) {
+  const message = error.response ? `HTTP ${error.response.status}: ${error.message}` : error.message;
+  return message.substring(0, 1000);
+}
+
+class WriteBack {
+  constructor(options = {}) {
+    this.teable = options.teable;
+    this.logger = options.logger;
+    this.metrics = options.metricsCollector;
+    // PSA name -> connector with isConfigured() and addNote(ticketId, { subject, text })
+    this.connectors = options.connectors || {};
+    this.inFlight = new Set();
+    this.sweep = new Sweep({
+      task: () => this.retryDue(),
+      intervalMs: options.sweepIntervalMs || 60 * 1000,
+      description: 'retrying PSA write-backs',
+      logger: this.logger
+    });
+
+    const requested = (options.enabled || process.env.PSA_WRITEBACK || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+    this.enabled = requested.filter(name => {
+      if (this.connectors[name]?.isConfigured()) return true;
+      this.logger.warn('PSA write-back connector unavailable, skipping it', {
+        psa: name,
+        reason: this.connectors[name] ? 'not configured' : 'unknown PSA'
+      });
+      return false;
+    });
+  }
+
+  isEnabled() {
+    return this.enabled.length > 0;
+  }
+
+  // Responses name their PSA in psa_source; responses without one (e.g. from unsigned links) are never written back
+  connectorFor(fields) {
+    const source = String(fields.psa_source || '').toLowerCase();
+    return this.enabled.includes(source) ? source : null;
+  }
+
+  // Fields that queue a completed response for write-back, or {} when it has no connector.
+  // The caller delivers straight away, so the sweep only picks the record up if that first
+  // attempt never stores its outcome.
+  queueFields(fields) {
+    if (!this.connectorFor(fields)) return {};
+    return {
+      writeback_status: 'pending',
+      writeback_attempts: 0,
+      writeback_next_at: nextRetryAt(1, RETRY_DELAYS_MINUTES),
+      writeback_error: ''
+    };
+  }
+
+  async deliver(record) {
+    if (this.inFlight.has(record.id)) return;
+
+    const psa = this.connectorFor(record.fields);
+    if (!psa) return this.abandon(record);
+    this.inFlight.add(record.id);
+
+    const attempts = (record.fields.writeback_attempts || 0) + 1;
+    const ticketId = record.fields.ticket_external_id;
+
+    try {
+      let update;
+      try {
+        await this.connectors[psa].addNote(ticketId, formatNote(record.fields));
+        update = {
+          writeback_status: 'delivered',
+          writeback_attempts: attempts,
+          writeback_error: '',
+          writeback_next_at: null,
+          writeback_at: new Date().toISOString()
+        };
+        this.metrics.counter('psa_writebacks_delivered', 1, { psa });
+        this.logger.info('Survey result written back to PSA', { psa, ticketId, recordId: record.id, attempts });
+      } catch (error) {
+        const nextAt = isRetryable(error) ? nextRetryAt(attempts, RETRY_DELAYS_MINUTES) : null;
+        const retry = !!nextAt;
+        update = {
+          writeback_status: retry ? 'pending' : 'failed',
+          writeback_attempts: attempts,
+          writeback_error: describeError(error),
+          writeback_next_at: nextAt
+        };
+        this.metrics.counter('psa_writebacks_failed', 1, { psa, final: String(!retry) });
+        this.logger[retry ? 'warn' : 'error']('PSA write-back failed', {
+          psa, ticketId, recordId: record.id, attempts, retry, error: update.writeback_error
+        });
+      }
+
+      await this.teable.updateRecord('survey_responses', record.id, update);
+    } catch (error) {
+      this.logger.error('Unable to store PSA write-back status', { recordId: record.id, error: error.message });
+    } finally {
+      this.inFlight.delete(record.id);
+    }
+  }
+
+  // A pending write-back whose PSA is no longer enabled would otherwise stay pending for good
+  async abandon(record) {
+    const source = record.fields.psa_source || '';
+    const error = source
+      ? `PSA '${source}' is not enabled for write-back (PSA_WRITEBACK)`
+      : 'Survey has no PSA to write back to';
+
+    try {
+      await this.teable.updateRecord('survey_responses', record.id, {
+        writeback_status: 'failed',
+        writeback_error: error,
+        writeback_next_at: null
+      });
+      this.metrics.counter('psa_writebacks_failed', 1, { psa: source || 'none', final: 'true' });
+      this.logger.warn('PSA write-back abandoned', { psa: source, recordId: record.id, error });
+    } catch (updateError) {
+      this.logger.error('Unable to store PSA write-back status', { recordId: record.id, error: updateError.message });
+    }
+  }
+
+  // Deliver every pending write-back whose next attempt is due, including ones
+  // set back to pending by hand in Teable
+  async retryDue() {
+    const records = await this.teable.getAllRecords('survey_responses', {
+      filterByFormula: `{writeback_status} = "pending"`
+    });
+    const now = Date.now();
+
+    for (const record of records.filter(r => isDue(r.fields.writeback_next_at, now))) {
+      await this.deliver(record);
+    }
+  }
+
+  // With write-back turned off no sweep runs, so write-backs left pending are failed once here
+  async abandonPending() {
+    const records = await this.teable.getAllRecords('survey_responses', {
+      filterByFormula: `{writeback_status} = "pending"`
+    });
+    for (const record of records) {
+      await this.abandon(record);
+    }
+  }
+
+  start() {
+    if (this.sweep.isRunning) return;
+    if (!this.isEnabled()) {
+      this.abandonPending().catch(error => {
+        this.logger.error('Unable to abandon pending PSA write-backs', { error: error.message });
+      });
+      return;
+    }
+
+    this.logger.info('PSA write-back started', { connectors: this.enabled });
+    this.sweep.start();
+  }
+
+  stop() {
+    this.sweep.stop();
+  }
+}
+
+module.exports = {
+  RETRY_DELAYS_MINUTES,
+  formatNote,
+  WriteBack
+};
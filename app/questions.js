@@ -0,0 +1,459 @@
+// questions.js - Survey question types: HTML rendering and answer parsing
+const { t, localize } = require('./i18n');
+const { html } = require('./templates');
+
+const EMOJI_FACES = {
+  3: ['🙁', '😐', '🙂'],
+  5: ['😠', '🙁', '😐', '🙂', '😀']
+};
+
+// Scale-based types share the button-group renderer; min/max/labels are the type defaults
+// (labels are i18n message keys)
+const SCALE_TYPES = {
+  rating: { min: 1, max: q => q.scale || 5, labels: ['rating_low', 'rating_high'] },
+  nps: { min: 0, max: () => 10, labels: ['nps_low', 'nps_high'] },
+  ces: { min: 1, max: q => q.scale || 7, labels: ['ces_low', 'ces_high'] },
+  stars: { min: 1, max: q => q.scale || 5, labels: null },
+  emoji: { min: 1, max: q => (EMOJI_FACES[q.scale] ? q.scale : 5), labels: null }
+};
+
+const QUESTION_TYPES = ['text', 'yes_no', 'choice', 'multi_choice', ...Object.keys(SCALE_TYPES)];
+
+function isScaleType(type) {
+  return Object.prototype.hasOwnProperty.call(SCALE_TYPES, type);
+}
+
+function scaleRange(question) {
+  const type = SCALE_TYPES[question.type];
+  return { min: type.min, max: type.max(question) };
+}
+
+// Choice options may be plain strings or { value, label } objects
+function normalizeOptions(question) {
+  return (question.options || []).map(option => {
+    if (option && typeof option === 'object') {
+      return { value: String(option.value), label: option.label || String(option.value) };
+    }
+    return { value: String(option), label: String(option) };
+  });
+}
+
+function buttonLabel(question, value) {
+  if (question.type === 'stars') return '★';
+  if (question.type === 'emoji') return EMOJI_FACES[scaleRange(question).max][value - 1];
+  return String(value);
+}
+
+// show_if: { "question": "<id>", "<operator>": <value> } or an array of them that must all hold.
+// Operators: equals, not_equals, in, lt, lte, gt, gte, answered
+function conditionHolds(condition, answers) {
+  const answer = answers[condition.question];
+  const values = Array.isArray(answer) ? answer : [answer];
+  const answered = answer !== undefined && answer !== null && answer !== '' && values.length > 0;
+
+  if (condition.answered !== undefined) {
+    return answered === Boolean(condition.answered);
+  }
+  if (!answered) {
+    return false;
+  }
+  if (condition.equals !== undefined) {
+    return values.some(value => String(value) === String(condition.equals));
+  }
+  if (condition.not_equals !== undefined) {
+    return values.every(value => String(value) !== String(condition.not_equals));
+  }
+  if (Array.isArray(condition.in)) {
+    return values.some(value => condition.in.map(String).includes(String(value)));
+  }
+
+  const comparisons = { lt: (a, b) => a < b, lte: (a, b) => a <= b, gt: (a, b) => a > b, gte: (a, b) => a >= b };
+  for (const [operator, compare] of Object.entries(comparisons)) {
+    if (condition[operator] !== undefined) {
+      return values.some(value => compare(Number(value), Number(condition[operator])));
+    }
+  }
+
+  return true;
+}
+
+function isQuestionVisible(question, answers) {
+  if (!question.show_if) {
+    return true;
+  }
+  const conditions = Array.isArray(question.show_if) ? question.show_if : [question.show_if];
+  return conditions.every(condition => conditionHolds(condition, answers));
+}
+
+// Work out which questions are shown for a set of answers. Questions are evaluated in order,
+// so answers to hidden questions never make later questions visible.
+function visibleQuestionIds(questions, answers) {
+  const visible = new Set();
+  const effectiveAnswers = {};
+
+  for (const question of questions) {
+    if (isQuestionVisible(question, effectiveAnswers)) {
+      visible.add(question.id);
+      if (answers[question.id] !== undefined) {
+        effectiveAnswers[question.id] = answers[question.id];
+      }
+    }
+  }
+
+  return visible;
+}
+
+function questionAttributes(question, hidden) {
+  return html`data-question="${question.id}" data-type="${question.type}"${
+    question.required ? html` data-required="true"` : ''}${
+    question.show_if ? html` data-show-if="${JSON.stringify(question.show_if)}"` : ''}${
+    hidden ? html` hidden` : ''}`;
+}
+
+function renderLabel(question, locale) {
+  return html`<label>${localize(question.question, locale)} ${question.required ? '*' : ''}</label>`;
+}
+
+function renderButtonGroup(question, buttons, answer, labels, hidden, locale) {
+  const selected = answer !== undefined && answer !== null ? String(answer) : '';
+  const buttonsHtml = buttons.map(({ value, label }) => {
+    const selectedClass = String(value) === selected ? ' selected' : '';
+    return html`<button type="button" class="rating-btn${selectedClass}" data-question="${question.id}" data-value="${value}">${label}</button>`;
+  });
+  const knownValue = buttons.some(({ value }) => String(value) === selected) ? selected : '';
+  const typeClass = question.type === 'rating' ? '' : ` ${question.type}-group`;
+  const labelsHtml = labels
+    ? html`<div class="rating-labels"><span>${labels[0]}</span><span>${labels[1]}</span></div>`
+    : '';
+
+  return html`
+          <div class="question" ${questionAttributes(question, hidden)}>
+            ${renderLabel(question, locale)}
+            <div class="rating-group${typeClass}" data-question="${question.id}">
+              ${buttonsHtml}
+            </div>
+            ${labelsHtml}
+            <input type="hidden" name="${question.id}" value="${knownValue}">
+          </div>
+        `;
+}
+
+function renderScale(question, answer, hidden, locale) {
+  const { min, max } = scaleRange(question);
+  const buttons = [];
+  for (let value = min; value <= max; value++) {
+    buttons.push({ value, label: buttonLabel(question, value) });
+  }
+
+  let labels = question.labels
+    ? question.labels.map(label => localize(label, locale))
+    : SCALE_TYPES[question.type].labels && SCALE_TYPES[question.type].labels.map(key => t(locale, key));
+  if (question.type === 'rating' && !question.labels && max !== 5) {
+    labels = null;
+  }
+
+  return renderButtonGroup(question, buttons, answer, labels, hidden, locale);
+}
+
+function renderChoices(question, answer, hidden, locale) {
+  const multiple = question.type === 'multi_choice';
+  const selected = (Array.isArray(answer) ? answer : [answer]).filter(v => v !== undefined).map(String);
+  const optionsHtml = normalizeOptions(question).map(option => html`
+              <label class="choice-option">
+                <input type="${multiple ? 'checkbox' : 'radio'}" name="${question.id}" value="${option.value}"${selected.includes(option.value) ? html` checked` : ''}>
+                <span>${localize(option.label, locale)}</span>
+              </label>`);
+
+  return html`
+          <div class="question" ${questionAttributes(question, hidden)}>
+            ${renderLabel(question, locale)}
+            <div class="choice-group">${optionsHtml}
+            </div>
+          </div>
+        `;
+}
+
+function renderQuestion(question, answer, hidden, locale) {
+  if (isScaleType(question.type)) {
+    return renderScale(question, answer, hidden, locale);
+  }
+
+  switch (question.type) {
+    case 'yes_no':
+      return renderButtonGroup(question, [
+        { value: 'yes', label: t(locale, 'yes') },
+        { value: 'no', label: t(locale, 'no') }
+      ], answer, null, hidden, locale);
+    case 'choice':
+    case 'multi_choice':
+      return renderChoices(question, answer, hidden, locale);
+    case 'text':
+      return html`
+          <div class="question" ${questionAttributes(question, hidden)}>
+            ${renderLabel(question, locale)}
+            <textarea name="${question.id}"${question.required ? html` required` : ''}></textarea>
+          </div>
+        `;
+    default:
+      return '';
+  }
+}
+
+// Render survey questions as escaped HTML, pre-selecting any answers already recorded.
+// Conditional questions whose show_if does not hold yet are rendered hidden.
+function renderQuestions(questions, answers = {}, locale) {
+  const visible = visibleQuestionIds(questions, answers);
+  return html`${questions.map(q => renderQuestion(q, answers[q.id], !visible.has(q.id), locale))}`;
+}
+
+function isEmptyAnswer(raw) {
+  return raw === undefined || raw === null || raw === '' || (Array.isArray(raw) && raw.length === 0);
+}
+
+// Convert a submitted value into the stored answer for its question type.
+// Returns undefined for an empty answer and throws for a value the question cannot accept.
+function parseAnswer(question, raw, maxTextLength = 1000) {
+  if (isEmptyAnswer(raw)) {
+    return undefined;
+  }
+
+  if (isScaleType(question.type)) {
+    const { min, max } = scaleRange(question);
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Answer must be a whole number between ${min} and ${max}`);
+    }
+    return value;
+  }
+
+  switch (question.type) {
+    case 'yes_no': {
+      const value = String(raw).toLowerCase();
+      if (value === 'yes' || value === 'true') return 'yes';
+      if (value === 'no' || value === 'false') return 'no';
+      throw new Error('Answer must be yes or no');
+    }
+    case 'choice': {
+      const value = String(raw);
+      if (!normalizeOptions(question).some(option => option.value === value)) {
+        throw new Error('Answer is not one of the available options');
+      }
+      return value;
+    }
+    case 'multi_choice': {
+      const values = [...new Set((Array.isArray(raw) ? raw : [raw]).map(String))];
+      const allowed = normalizeOptions(question).map(option => option.value);
+      if (values.some(value => !allowed.includes(value))) {
+        throw new Error('Answer contains options that are not available');
+      }
+      return values;
+    }
+    case 'text':
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        throw new Error('Answer must be text');
+      }
+      return String(raw).trim().substring(0, maxTextLength);
+    default:
+      throw new Error(`Unsupported question type '${question.type}'`);
+  }
+}
+
+// Check a submission against the survey's questions: required answers present,
+// values valid for their type, and no keys that are not questions of this survey.
+function validateSubmission(questions, body) {
+  const answers = {};
+  const errors = [];
+  const questionIds = new Set(questions.map(q => q.id));
+
+  for (const key of Object.keys(body || {})) {
+    if (!questionIds.has(key)) {
+      errors.push({ question: key, code: 'UNKNOWN_QUESTION', message: 'Not a question of this survey' });
+    }
+  }
+
+  // Answers to hidden questions are dropped and their required checks skipped
+  const parsed = {};
+  for (const question of questions) {
+    try {
+      parsed[question.id] = parseAnswer(question, body ? body[question.id] : undefined);
+    } catch (error) {
+      parsed[question.id] = undefined;
+    }
+  }
+  const visible = visibleQuestionIds(questions, parsed);
+
+  for (const question of questions) {
+    if (!visible.has(question.id)) {
+      continue;
+    }
+
+    let answer;
+    try {
+      answer = parseAnswer(question, body ? body[question.id] : undefined);
+    } catch (error) {
+      errors.push({ question: question.id, code: 'INVALID_VALUE', message: error.message });
+      continue;
+    }
+
+    if (answer === undefined || answer === '') {
+      if (question.required) {
+        errors.push({ question: question.id, code: 'REQUIRED', message: 'An answer is required' });
+      }
+      continue;
+    }
+
+    answers[question.id] = answer;
+  }
+
+  return { answers, errors };
+}
+
+// Questions that count towards overall_rating; surveys that mark none as `scored` have no overall_rating
+function scoredQuestions(questions) {
+  return questions.filter(q => q.scored && isScaleType(q.type));
+}
+
+function computeOverallRating(questions, answers) {
+  const values = scoredQuestions(questions)
+    .map(q => answers[q.id])
+    .filter(value => typeof value === 'number');
+
+  return values.length > 0
+    ? Math.round(values.reduce((a, b) => a + b, 0) / values.length)
+    : null;
+}
+
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'in', 'lt', 'lte', 'gt', 'gte', 'answered'];
+
+function isText(value) {
+  if (typeof value === 'string') return value.trim().length > 0;
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 && Object.values(value).every(v => typeof v === 'string' && v.trim());
+}
+
+function validateCondition(condition, path, earlierIds, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push({ path, message: 'Condition must be an object' });
+    return;
+  }
+  if (!earlierIds.has(condition.question)) {
+    errors.push({ path: `${path}.question`, message: 'Must reference an earlier question' });
+  }
+  const operators = Object.keys(condition).filter(key => key !== 'question');
+  if (operators.length !== 1 || !CONDITION_OPERATORS.includes(operators[0])) {
+    errors.push({ path, message: `Condition needs exactly one of: ${CONDITION_OPERATORS.join(', ')}` });
+  } else if (operators[0] === 'in' && !Array.isArray(condition.in)) {
+    errors.push({ path: `${path}.in`, message: 'Must be a list of values' });
+  }
+}
+
+function validateQuestion(question, path, earlierIds, errors) {
+  if (!question || typeof question !== 'object' || Array.isArray(question)) {
+    errors.push({ path, message: 'Question must be an object' });
+    return;
+  }
+
+  if (typeof question.id !== 'string' || !/^[a-zA-Z0-9_]{1,50}$/.test(question.id)) {
+    errors.push({ path: `${path}.id`, message: 'Must be 1-50 letters, digits or underscores' });
+  } else if (earlierIds.has(question.id)) {
+    errors.push({ path: `${path}.id`, message: `Duplicate question id '${question.id}'` });
+  }
+
+  if (!QUESTION_TYPES.includes(question.type)) {
+    errors.push({ path: `${path}.type`, message: `Must be one of: ${QUESTION_TYPES.join(', ')}` });
+  }
+  if (!isText(question.question)) {
+    errors.push({ path: `${path}.question`, message: 'Must be text or a map of locale to text' });
+  }
+  for (const flag of ['required', 'scored']) {
+    if (question[flag] !== undefined && typeof question[flag] !== 'boolean') {
+      errors.push({ path: `${path}.${flag}`, message: 'Must be true or false' });
+    }
+  }
+
+  if (isScaleType(question.type)) {
+    if (question.scale !== undefined) {
+      if (question.type === 'nps') {
+        errors.push({ path: `${path}.scale`, message: 'NPS questions always use 0-10' });
+      } else if (question.type === 'emoji' && ![3, 5].includes(question.scale)) {
+        errors.push({ path: `${path}.scale`, message: 'Must be 3 or 5' });
+      } else if (!Number.isInteger(question.scale) || question.scale < 2 || question.scale > 10) {
+        errors.push({ path: `${path}.scale`, message: 'Must be a whole number from 2 to 10' });
+      }
+    }
+    if (question.labels !== undefined && (!Array.isArray(question.labels) || question.labels.length !== 2 || !question.labels.every(isText))) {
+      errors.push({ path: `${path}.labels`, message: 'Must be a list of two labels' });
+    }
+  } else if (question.scored) {
+    errors.push({ path: `${path}.scored`, message: 'Only scale questions can be scored' });
+  }
+
+  if (question.type === 'choice' || question.type === 'multi_choice') {
+    if (!Array.isArray(question.options) || question.options.length === 0) {
+      errors.push({ path: `${path}.options`, message: 'Must be a non-empty list' });
+    } else {
+      const values = normalizeOptions(question).map(option => option.value);
+      if (question.options.some(option => option === null || option === undefined || (typeof option === 'object' && option.value === undefined))) {
+        errors.push({ path: `${path}.options`, message: 'Options must be values or { value, label } objects' });
+      } else if (new Set(values).size !== values.length) {
+        errors.push({ path: `${path}.options`, message: 'Option values must be unique' });
+      }
+    }
+  }
+
+  if (question.show_if !== undefined) {
+    const conditions = Array.isArray(question.show_if) ? question.show_if : [question.show_if];
+    conditions.forEach((condition, i) => validateCondition(
+      condition, Array.isArray(question.show_if) ? `${path}.show_if[${i}]` : `${path}.show_if`, earlierIds, errors
+    ));
+  }
+}
+
+// Check a survey's question list before it is saved. Returns [{ path, message }], empty when valid.
+function validateQuestions(questions) {
+  const errors = [];
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return [{ path: 'questions', message: 'Must be a non-empty list of questions' }];
+  }
+
+  const earlierIds = new Set();
+  questions.forEach((question, i) => {
+    validateQuestion(question, `questions[${i}]`, earlierIds, errors);
+    if (question && typeof question.id === 'string') earlierIds.add(question.id);
+  });
+
+  // Averaging answers on different scales (e.g. 0-10 NPS with 1-5 ratings) would make overall_rating meaningless
+  const scored = questions.map((question, i) => ({ question, i }))
+    .filter(({ question }) => question && question.scored === true && isScaleType(question.type));
+  if (scored.length > 1) {
+    const first = scaleRange(scored[0].question);
+    scored.slice(1).forEach(({ question, i }) => {
+      const range = scaleRange(question);
+      if (range.min !== first.min || range.max !== first.max) {
+        errors.push({
+          path: `questions[${i}].scored`,
+          message: `Scored questions must share one scale; '${scored[0].question.id}' is ${first.min}-${first.max}, this is ${range.min}-${range.max}`
+        });
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  isScaleType,
+  scaleRange,
+  normalizeOptions,
+  renderQuestions,
+  parseAnswer,
+  CONDITION_OPERATORS,
+  conditionHolds,
+  isQuestionVisible,
+  visibleQuestionIds,
+  validateSubmission,
+  scoredQuestions,
+  computeOverallRating,
+  validateQuestions
+};
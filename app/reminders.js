@@ -0,0 +1,111 @@
+// reminders.js - Reminder emails for surveys still pending some days after they were sent
+const { Sweep } = require('./scheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseHistory(value) {
+  try {
+    const history = JSON.parse(value || '[]');
+    return Array.isArray(history) ? history : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// When the survey's next reminder is due, or null when it gets no more reminders: it was answered,
+// expired, opted out, reached the limit, or would only be reminded after it expires.
+// Only surveys whose invitation OpenCSAT emailed are reminded; for a PSA's email the record is usually
+// created when the customer opens the link, and the time the PSA sent it is unknown.
+function nextReminderAt(fields, { maxReminders, afterDays }) {
+  if (fields.status !== 'pending' || fields.reminders_opt_out || !fields.customer_email) return null;
+  if (!fields.survey_url || !fields.invitation_sent_at) return null;
+  if ((fields.reminder_count || 0) >= maxReminders) return null;
+
+  const last = fields.reminder_last_at || fields.invitation_sent_at;
+
+  const due = new Date(new Date(last).getTime() + afterDays * DAY_MS);
+  if (fields.expires_at && due >= new Date(fields.expires_at)) return null;
+  return due;
+}
+
+class ReminderScheduler {
+  constructor(options = {}) {
+    this.teable = options.teable;
+    this.logger = options.logger;
+    this.metrics = options.metricsCollector;
+    this.mailer = options.mailer;
+    this.maxReminders = options.maxReminders ?? (parseInt(process.env.REMINDER_MAX) || 0);
+    this.afterDays = options.afterDays || parseFloat(process.env.REMINDER_AFTER_DAYS) || 3;
+    this.sweep = new Sweep({
+      task: () => this.sendDue(),
+      intervalMs: options.sweepIntervalMs || 15 * 60 * 1000,
+      description: 'sending survey reminders',
+      logger: this.logger
+    });
+  }
+
+  isEnabled() {
+    return this.maxReminders > 0 && this.mailer.isConfigured();
+  }
+
+  // Send one reminder and record it on the survey response
+  async remind(surveyResponse) {
+    // Read the record again: the customer may have answered or opted out since the sweep started
+    const current = await this.teable.getRecordById('survey_responses', surveyResponse.id);
+    const due = nextReminderAt(current.fields, this);
+    if (!due || due > new Date()) return null;
+
+    const send = await this.mailer.send(current, { kind: 'reminder' });
+    const now = new Date().toISOString();
+    const count = (current.fields.reminder_count || 0) + 1;
+    const history = [...parseHistory(current.fields.reminder_history), { at: now, status: send.status }];
+
+    await this.teable.updateRecord('survey_responses', current.id, {
+      reminder_count: count,
+      reminder_last_at: now,
+      reminder_history: JSON.stringify(history)
+    });
+    this.metrics.counter('survey_reminders', 1, { status: send.status });
+    this.logger.info('Survey reminder sent', {
+      recordId: current.id,
+      ticketId: current.fields.ticket_external_id,
+      reminder: count,
+      status: send.status
+    });
+    return send;
+  }
+
+  async sendDue() {
+    const records = await this.teable.getAllRecords('survey_responses', {
+      filterByFormula: `AND({status} = "pending", NOT({reminders_opt_out}))`
+    });
+    const now = new Date();
+
+    for (const record of records) {
+      const due = nextReminderAt(record.fields, this);
+      if (!due || due > now) continue;
+
+      try {
+        await this.remind(record);
+      } catch (error) {
+        this.logger.error('Unable to send survey reminder', { recordId: record.id, error: error.message });
+      }
+    }
+  }
+
+  start() {
+    if (this.sweep.isRunning || !this.isEnabled()) return;
+
+    this.logger.info('Survey reminders started', { maxReminders: this.maxReminders, afterDays: this.afterDays });
+    this.sweep.start();
+  }
+
+  stop() {
+    this.sweep.stop();
+  }
+}
+
+module.exports = {
+  nextReminderAt,
+  ReminderScheduler
+};
@@ -0,0 +1,340 @@
+// reporting.js - CSAT aggregation over survey_responses records
+const { html } = require('./templates');
+const { isSlaBreached } = require('./followups');
+
+const GROUP_BY_FIELDS = ['technician_name', 'company_name', 'category', 'priority'];
+
+// Statuses whose rating counts. One-click ratings (partial) are left out until the survey is submitted:
+// they come from links in the email, which mail scanners can open.
+const RESPONDED_STATUSES = ['completed'];
+
+function rangeError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_DATE_RANGE';
+  error.status = 400;
+  return error;
+}
+
+function parseDateParam(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw rangeError(`Invalid ${name} date`);
+  }
+  return date;
+}
+
+// Parse from/to query parameters; a date-only `to` covers that whole day
+function parseDateRange(query) {
+  const from = parseDateParam(query.from, 'from');
+  const to = parseDateParam(query.to, 'to');
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+  if (from && to && from > to) {
+    throw rangeError('Invalid date range: from is after to');
+  }
+  return { from, to };
+}
+
+function inDateRange(record, { from, to }, field = 'created_at') {
+  const value = record.fields[field];
+  if (!value) return !from && !to;
+  const date = new Date(value);
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+function hasRating(record) {
+  return RESPONDED_STATUSES.includes(record.fields.status) && typeof record.fields.overall_rating === 'number';
+}
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Counts, response rate, CSAT % (share of ratings >= threshold), average and distribution
+function summarize(records, options = {}) {
+  const threshold = options.satisfiedThreshold || 4;
+  const rated = records.filter(hasRating);
+  const ratings = rated.map(r => r.fields.overall_rating);
+
+  const distribution = {};
+  for (const rating of ratings) {
+    distribution[rating] = (distribution[rating] || 0) + 1;
+  }
+
+  const satisfied = ratings.filter(rating => rating >= threshold).length;
+
+  return {
+    sent: records.length,
+    responses: rated.length,
+    response_rate: records.length > 0 ? round(rated.length / records.length * 100, 1) : null,
+    csat_percent: rated.length > 0 ? round(satisfied / rated.length * 100, 1) : null,
+    average_rating: rated.length > 0 ? round(ratings.reduce((a, b) => a + b, 0) / rated.length) : null,
+    distribution,
+    ...(options.followUps && {
+      follow_up: followUpSummary(records.map(r => options.followUps.get(r.id)).filter(Boolean), options.now)
+    })
+  };
+}
+
+// Closure of follow-up cases: how many were resolved, how fast, and how many missed their due date
+function followUpSummary(cases, now = new Date()) {
+  const resolved = cases.filter(c => c.status === 'resolved' && c.resolved_at);
+  const hoursToResolve = resolved
+    .filter(c => c.created_at)
+    .map(c => (new Date(c.resolved_at) - new Date(c.created_at)) / (60 * 60 * 1000));
+  const breached = cases.filter(c => isSlaBreached(c, now)).length;
+  // Cases whose SLA outcome is known: resolved, or already past due
+  const decided = cases.filter(c => c.status === 'resolved' || isSlaBreached(c, now)).length;
+
+  return {
+    opened: cases.length,
+    open: cases.filter(c => c.status === 'open').length,
+    contacted: cases.filter(c => c.status === 'contacted').length,
+    resolved: resolved.length,
+    closure_rate: cases.length > 0 ? round(resolved.length / cases.length * 100, 1) : null,
+    average_hours_to_resolve: hoursToResolve.length > 0
+      ? round(hoursToResolve.reduce((a, b) => a + b, 0) / hoursToResolve.length, 1)
+      : null,
+    sla_breached: breached,
+    sla_met_percent: decided > 0 ? round((decided - breached) / decided * 100, 1) : null,
+    overdue: cases.filter(c => c.status !== 'resolved' && isSlaBreached(c, now)).length
+  };
+}
+
+function aggregate(records, groupBy, options = {}) {
+  const result = { totals: summarize(records, options) };
+
+  if (groupBy) {
+    const groups = new Map();
+    for (const record of records) {
+      const key = record.fields[groupBy] || '(none)';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    }
+
+    result.groups = [...groups.entries()]
+      .map(([key, groupRecords]) => ({ [groupBy]: key, ...summarize(groupRecords, options) }))
+      .sort((a, b) => b.responses - a.responses || b.sent - a.sent);
+  }
+
+  return result;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function responseDate(record) {
+  return new Date(record.fields.submitted_at || record.fields.created_at);
+}
+
+// Records without a usable submitted_at or created_at cannot be placed on a timeline
+function hasResponseDate(record) {
+  return !isNaN(responseDate(record).getTime());
+}
+
+function parseResponses(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+}
+
+// Average of every numeric answer in the `responses` JSON, per question id
+function questionAverages(records) {
+  const totals = {};
+  for (const record of records.filter(hasRating)) {
+    for (const [questionId, answer] of Object.entries(parseResponses(record.fields.responses))) {
+      if (typeof answer !== 'number') continue;
+      totals[questionId] = totals[questionId] || { sum: 0, count: 0 };
+      totals[questionId].sum += answer;
+      totals[questionId].count++;
+    }
+  }
+
+  return Object.fromEntries(Object.entries(totals).map(([questionId, { sum, count }]) => [
+    questionId,
+    { average: round(sum / count), responses: count }
+  ]));
+}
+
+// Compare the `days` before `end` with the same length of time before that
+function periodTrend(records, end, days, options = {}) {
+  const summarizePeriod = (from, to) => {
+    const rated = records.filter(r => hasRating(r) && responseDate(r) > from && responseDate(r) <= to);
+    const { responses, csat_percent, average_rating } = summarize(rated, options);
+    return { from: from.toISOString(), to: to.toISOString(), responses, csat_percent, average_rating };
+  };
+
+  const start = new Date(end.getTime() - days * DAY_MS);
+  const current = summarizePeriod(start, end);
+  const previous = summarizePeriod(new Date(start.getTime() - days * DAY_MS), start);
+  const change = key => (current[key] !== null && previous[key] !== null ? round(current[key] - previous[key], 2) : null);
+
+  return {
+    current,
+    previous,
+    change: {
+      responses: current.responses - previous.responses,
+      csat_percent: change('csat_percent'),
+      average_rating: change('average_rating')
+    }
+  };
+}
+
+function recentComments(records, limit = 10) {
+  return records
+    .filter(r => hasRating(r) && hasResponseDate(r) && r.fields.comments && String(r.fields.comments).trim())
+    .sort((a, b) => responseDate(b) - responseDate(a))
+    .slice(0, limit)
+    .map(r => ({
+      ticket_external_id: r.fields.ticket_external_id || null,
+      company_name: r.fields.company_name || null,
+      technician_name: r.fields.technician_name || null,
+      overall_rating: r.fields.overall_rating,
+      comment: String(r.fields.comments).trim(),
+      submitted_at: responseDate(r).toISOString()
+    }));
+}
+
+// Scorecard for one technician: summary over the range, per-question averages,
+// week-over-week and month-over-month trend ending at `range.to` (or now), and recent comments
+function technicianScorecard(technician, records, range, options = {}) {
+  const inRange = records.filter(record => inDateRange(record, range));
+  const end = range.to || new Date();
+
+  return {
+    technician_name: technician,
+    ...summarize(inRange, options),
+    questions: questionAverages(inRange),
+    trend: {
+      week_over_week: periodTrend(records, end, 7, options),
+      month_over_month: periodTrend(records, end, 30, options)
+    },
+    recent_comments: recentComments(inRange, options.commentLimit)
+  };
+}
+
+// Responses and CSAT per day for the `days` days up to `end`
+function dailyTrend(records, end, days, options = {}) {
+  const trend = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const day = new Date(end.getTime() - i * DAY_MS).toISOString().slice(0, 10);
+    const rated = records.filter(r => hasRating(r) && hasResponseDate(r) && responseDate(r).toISOString().slice(0, 10) === day);
+    const { responses, csat_percent, average_rating } = summarize(rated, options);
+    trend.push({ date: day, responses, csat_percent, average_rating });
+  }
+  return trend;
+}
+
+// Most recent responses rated at or below the threshold
+function lowScores(records, threshold = 2, limit = 20) {
+  return records
+    .filter(r => hasRating(r) && hasResponseDate(r) && r.fields.overall_rating <= threshold)
+    .sort((a, b) => responseDate(b) - responseDate(a))
+    .slice(0, limit)
+    .map(r => ({
+      id: r.id,
+      ticket_external_id: r.fields.ticket_external_id || null,
+      ticket_subject: r.fields.ticket_subject || null,
+      customer_name: r.fields.customer_name || null,
+      company_name: r.fields.company_name || null,
+      technician_name: r.fields.technician_name || null,
+      overall_rating: r.fields.overall_rating,
+      comment: r.fields.comments || '',
+      submitted_at: responseDate(r).toISOString()
+    }));
+}
+
+// Everything the admin dashboard shows except system health
+function dashboardSummary(records, options = {}) {
+  const now = options.now || new Date();
+  // Surveys count as sent when created and as responses when submitted
+  const counts = days => {
+    const from = new Date(now.getTime() - days * DAY_MS);
+    const rated = records.filter(r => hasRating(r) && responseDate(r) > from);
+    const { responses, csat_percent } = summarize(rated, options);
+    return { sent: records.filter(r => new Date(r.fields.created_at) > from).length, responses, csat_percent };
+  };
+
+  return {
+    counts: {
+      today: counts(1),
+      last_7_days: counts(7),
+      last_30_days: counts(30),
+      pending: records.filter(r => r.fields.status === 'pending').length
+    },
+    trend: dailyTrend(records, now, 30, options),
+    low_scores: lowScores(records, options.lowScoreThreshold),
+    recent_comments: recentComments(records, 20)
+  };
+}
+
+function formatValue(value, suffix = '') {
+  return value === null || value === undefined ? '–' : `${value}${suffix}`;
+}
+
+function formatChange(value, suffix = '') {
+  if (value === null || value === undefined) return '–';
+  return `${value > 0 ? '+' : ''}${value}${suffix}`;
+}
+
+function renderTrendRow(label, trend) {
+  return html`
+        <tr>
+          <th>${label}</th>
+          <td>${trend.current.responses} (${formatChange(trend.change.responses)})</td>
+          <td>${formatValue(trend.current.csat_percent, '%')} (${formatChange(trend.change.csat_percent, ' pts')})</td>
+          <td>${formatValue(trend.current.average_rating)} (${formatChange(trend.change.average_rating)})</td>
+        </tr>`;
+}
+
+// Placeholder values for views/scorecard.html
+function scorecardTemplateData(card, range) {
+  const questions = Object.entries(card.questions).map(([questionId, q]) => html`
+        <tr><th>${questionId}</th><td>${q.average}</td><td>${q.responses}</td></tr>`);
+  const comments = card.recent_comments.map(c => html`
+      <li>
+        <div class="comment-meta">${c.submitted_at.slice(0, 10)} · ${c.company_name || ''} · #${c.ticket_external_id || ''} · Rating ${c.overall_rating}</div>
+        <div>${c.comment}</div>
+      </li>`);
+
+  return {
+    technician: card.technician_name,
+    period: `${range.from ? range.from.toISOString().slice(0, 10) : 'All time'} – ${(range.to || new Date()).toISOString().slice(0, 10)}`,
+    csat_percent: formatValue(card.csat_percent, '%'),
+    average_rating: formatValue(card.average_rating),
+    responses: card.responses,
+    response_rate: formatValue(card.response_rate, '%'),
+    question_rows: questions.length > 0 ? questions : html`<tr><td colspan="3">No rated questions</td></tr>`,
+    trend_rows: [
+      renderTrendRow('Last 7 days', card.trend.week_over_week),
+      renderTrendRow('Last 30 days', card.trend.month_over_month)
+    ],
+    comments: comments.length > 0 ? comments : html`<li>No comments</li>`
+  };
+}
+
+module.exports = {
+  GROUP_BY_FIELDS,
+  RESPONDED_STATUSES,
+  parseDateRange,
+  inDateRange,
+  hasRating,
+  summarize,
+  followUpSummary,
+  aggregate,
+  parseResponses,
+  questionAverages,
+  periodTrend,
+  recentComments,
+  technicianScorecard,
+  scorecardTemplateData,
+  dailyTrend,
+  lowScores,
+  dashboardSummary
+};
@@ -0,0 +1,83 @@
+// routing.js - Rule-based selection of the survey definition for a ticket
+
+// Ticket fields a survey's routing_rules may match on
+const ROUTABLE_FIELDS = ['category', 'priority', 'company_name', 'technician_name'];
+
+// routing_rules is a JSON object keyed by ticket field; every listed field must match:
+//   { "priority": "Low" }                         exact value (case-insensitive)
+//   { "category": ["Password Reset", "MFA"] }     any of the listed values
+//   { "company_name": { "contains": "acme" } }    substring match
+function parseRules(value) {
+  if (!value) return null;
+
+  const rules = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Routing rules must be a JSON object');
+  }
+
+  for (const field of Object.keys(rules)) {
+    if (!ROUTABLE_FIELDS.includes(field)) {
+      throw new Error(`Unsupported routing field '${field}'`);
+    }
+  }
+
+  return Object.keys(rules).length > 0 ? rules : null;
+}
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function matchesCondition(condition, value) {
+  const actual = normalize(value);
+
+  if (Array.isArray(condition)) {
+    return condition.some(expected => normalize(expected) === actual);
+  }
+  if (condition && typeof condition === 'object') {
+    return condition.contains !== undefined && actual.includes(normalize(condition.contains));
+  }
+  return normalize(condition) === actual;
+}
+
+function matchesRules(rules, ticket) {
+  return Object.entries(rules).every(([field, condition]) => matchesCondition(condition, ticket[field]));
+}
+
+// Pick the survey record for a ticket: surveys with routing rules are tried in rule_order,
+// and the first survey without rules is the fallback.
+function selectSurvey(surveys, ticket, logger) {
+  const ordered = [...surveys].sort((a, b) =>
+    (a.fields.rule_order ?? Infinity) - (b.fields.rule_order ?? Infinity)
+  );
+
+  let fallback = null;
+
+  for (const survey of ordered) {
+    let rules;
+    try {
+      rules = parseRules(survey.fields.routing_rules);
+    } catch (error) {
+      if (logger) {
+        logger.error('Invalid survey routing rules', { surveyId: survey.id, error: error.message });
+      }
+      continue;
+    }
+
+    if (!rules) {
+      fallback = fallback || survey;
+    } else if (matchesRules(rules, ticket)) {
+      return survey;
+    }
+  }
+
+  return fallback;
+}
+
+module.exports = {
+  ROUTABLE_FIELDS,
+  parseRules,
+  matchesCondition,
+  matchesRules,
+  selectSurvey
+};
@@ -0,0 +1,60 @@
+// scheduler.js - Background sweeps and retry timing for the services that poll Teable
+
+const MINUTE_MS = 60 * 1000;
+
+// Runs `task` now and again `intervalMs` after each run finishes, until stop().
+// Errors are logged as "Error <description>" and the next run still happens.
+class Sweep {
+  constructor(options = {}) {
+    this.task = options.task;
+    this.intervalMs = options.intervalMs;
+    this.description = options.description;
+    this.logger = options.logger;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.run();
+  }
+
+  async run() {
+    if (!this.isRunning) return;
+
+    try {
+      await this.task();
+    } catch (error) {
+      this.logger.error(`Error ${this.description}`, { error: error.message });
+    }
+
+    if (this.isRunning) {
+      this.timer = setTimeout(() => this.run(), this.intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+  }
+}
+
+// When to try again after `attempts` failed attempts, using one delay per retry;
+// null once the delays are used up
+function nextRetryAt(attempts, delaysMinutes, now = Date.now()) {
+  if (attempts < 1 || attempts > delaysMinutes.length) return null;
+  return new Date(now + delaysMinutes[attempts - 1] * MINUTE_MS).toISOString();
+}
+
+// Whether a scheduled time has come; records without one are due straight away
+function isDue(value, now = Date.now()) {
+  return !value || new Date(value).getTime() <= now;
+}
+
+module.exports = {
+  Sweep,
+  nextRetryAt,
+  isDue
+};
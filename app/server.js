@@ -7,6 +7,61 @@ const fs = require('fs');
 
 // Import monitoring utilities
 const { Logger, HealthMonitor, MetricsCollector, createMetricsMiddleware } = require('./monitoring');
+const { LinkSigner } = require('./signing');
+const { selectSurvey } = require('./routing');
+const { html, json, escapeHtml, renderTemplate } = require('./templates');
+const { BrandingService, brandingTemplateData } = require('./branding');
+const {
+  GROUP_BY_FIELDS,
+  parseDateRange,
+  inDateRange,
+  aggregate,
+  technicianScorecard,
+  scorecardTemplateData,
+  dashboardSummary
+} = require('./reporting');
+const { AdminAuth } = require('./admin');
+const { escapeFormulaValue } = require('./formula');
+const { SurveyDefinitions } = require('./surveys');
+const { ROLES, generateApiKey, hashApiKey, extractApiKey, redactUrl, ApiKeyAuth } = require('./auth');
+const { webhookError, WebhookLog } = require('./webhooks');
+const {
+  validateEmail,
+  validateTicketId,
+  validateName,
+  sanitizeString,
+  validateToken,
+  validateWebhookTicket,
+  validateRecordId
+} = require('./validation');
+const { SyncroClient, ticketFromPayload, mapSyncroTicket } = require('./psa/syncro');
+const { ConnectWiseClient, ticketFromCallback, callbackDeliveryId, isClosedTicket, mapConnectWiseTicket } = require('./psa/connectwise');
+const { AutotaskClient, ticketFromWebhook, webhookDeliveryId, mapAutotaskTicket } = require('./psa/autotask');
+const { validateMapping, applyMapping, validateName: validateMappingName, WebhookMappings } = require('./psa/generic');
+const { WriteBack } = require('./psa/writeback');
+const { OutboundWebhooks } = require('./events');
+const { AlertService } = require('./alerts');
+const { FollowUps, toCase } = require('./followups');
+const { mailError, Mailer } = require('./mailer');
+const { ReminderScheduler } = require('./reminders');
+const { Sweep } = require('./scheduler');
+const { parseExportFilters, matchesFilters, buildExport, writeCsv, writeXlsx } = require('./export');
+const {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  negotiateLocale,
+  t,
+  allTranslations,
+  clientMessages,
+  formatDate
+} = require('./i18n');
+const {
+  isScaleType,
+  renderQuestions,
+  parseAnswer,
+  validateSubmission,
+  computeOverallRating
+} = require('./questions');
 
 const app = express();
 
@@ -19,6 +74,8 @@ const logger = new Logger({
 
 const metricsCollector = new MetricsCollector({ logger });
 const healthMonitor = new HealthMonitor({ logger });
+const linkSigner = new LinkSigner();
+const adminAuth = new AdminAuth();
 
 // Trust proxy for rate limiting behind reverse proxy
 app.set('trust proxy', 1);
@@ -85,58 +142,29 @@ const generalLimiter = rateLimit({
   }
 });
 
+const adminLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.ADMIN_LOGIN_RATE_LIMIT_MAX) || 10,
+  message: {
+    error: 'Too many login attempts, please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  onLimitReached: (req, res, options) => {
+    logger.warn('Admin login rate limit exceeded', { ip: req.ip });
+    metricsCollector.counter('rate_limit_exceeded', 1, { type: 'admin_login' });
+  }
+});
+
 // Apply middleware
 app.use(generalLimiter);
 app.use(createMetricsMiddleware(metricsCollector));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Input validation utilities
-function validateEmail(email) {
-  if (!email || typeof email !== 'string') {
-    throw new Error('Email is required and must be a string');
-  }
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    throw new Error('Invalid email format');
-  }
-  return email.trim().toLowerCase();
-}
-
-function validateTicketId(ticketId) {
-  if (!ticketId || typeof ticketId !== 'string') {
-    throw new Error('Ticket ID is required and must be a string');
-  }
-  if (!/^[a-zA-Z0-9\-_]{1,50}$/.test(ticketId)) {
-    throw new Error('Invalid ticket ID format');
-  }
-  return ticketId.trim();
-}
-
-function validateName(name) {
-  if (!name || typeof name !== 'string') {
-    throw new Error('Name is required and must be a string');
-  }
-  if (name.trim().length < 1 || name.trim().length > 100) {
-    throw new Error('Name must be between 1 and 100 characters');
-  }
-  return name.trim();
-}
-
-function sanitizeString(str, maxLength = 255) {
-  if (!str) return '';
-  if (typeof str !== 'string') return String(str);
-  return str.trim().substring(0, maxLength);
-}
-
-function validateToken(token) {
-  if (!token || typeof token !== 'string') {
-    throw new Error('Token is required and must be a string');
-  }
-  if (!/^[a-f0-9]{64}$/.test(token)) {
-    throw new Error('Invalid token format');
-  }
-  return token;
+function isSurveyExpired(fields) {
+  return !!fields.expires_at && new Date(fields.expires_at) < new Date();
 }
 
 // Environment validation
@@ -157,7 +185,7 @@ function sendErrorResponse(res, error, statusCode = 500) {
     error: error.message, 
     stack: error.stack,
     statusCode,
-    url: res.req?.url,
+    url: redactUrl(res.req?.url),
     method: res.req?.method
   });
   
@@ -172,6 +200,10 @@ function sendErrorResponse(res, error, statusCode = 500) {
     timestamp: new Date().toISOString()
   };
   
+  if (error.errors) {
+    errorResponse.errors = error.errors;
+  }
+  
   if (process.env.NODE_ENV !== 'production') {
     errorResponse.stack = error.stack;
   }
@@ -179,6 +211,11 @@ function sendErrorResponse(res, error, statusCode = 500) {
   res.status(statusCode).json(errorResponse);
 }
 
+// Status for errors raised by the app's own modules; Teable failures are a 500 for our clients
+function errorStatus(error) {
+  return error.status && error.code !== 'TEABLE_API_ERROR' ? error.status : 500;
+}
+
 // Improved Teable client using axios
 class Teable {
   constructor() {
@@ -270,19 +307,57 @@ class Teable {
     if (options.maxRecords) {
       params.maxRecords = options.maxRecords;
     }
-    
+    if (options.take) {
+      params.take = options.take;
+    }
+    if (options.skip) {
+      params.skip = options.skip;
+    }
+
     const result = await this.client.get(`/table/${tableId}/record`, { params });
-    
+
     metricsCollector.counter('records_retrieved', result.records?.length || 0, { table: tableName });
-    
+
     return result.records || [];
   }
 
+  // Page through every matching record; a single request only returns the first page
+  async getAllRecords(tableName, options = {}) {
+    const pageSize = options.pageSize || 1000;
+    const maxRecords = options.maxRecords || 100000;
+    const records = [];
+
+    while (records.length < maxRecords) {
+      const page = await this.getRecords(tableName, {
+        filterByFormula: options.filterByFormula,
+        take: pageSize,
+        skip: records.length
+      });
+      records.push(...page);
+
+      if (page.length < pageSize) {
+        return records;
+      }
+    }
+
+    logger.warn(`Stopped reading ${tableName} at ${maxRecords} records`);
+    return records.slice(0, maxRecords);
+  }
+
   async getRecord(tableName, filter) {
     const records = await this.getRecords(tableName, filter);
     return records[0] || null;
   }
 
+  async getRecordById(tableName, recordId) {
+    const tableId = await this.getTableId(tableName);
+    const result = await this.client.get(`/table/${tableId}/record/${recordId}`);
+
+    metricsCollector.counter('records_retrieved', 1, { table: tableName });
+
+    return result;
+  }
+
   async updateRecord(tableName, recordId, data) {
     const tableId = await this.getTableId(tableName);
     const result = await this.client.patch(`/table/${tableId}/record/${recordId}`, {
@@ -296,98 +371,1097 @@ class Teable {
     
     return result;
   }
-}
 
-const teable = new Teable();
+  async deleteRecord(tableName, recordId) {
+    const tableId = await this.getTableId(tableName);
+    await this.client.delete(`/table/${tableId}/record/${recordId}`);
+
+    metricsCollector.counter('records_deleted', 1, { table: tableName });
+    logger.info(`Record deleted from ${tableName}`, { recordId });
+  }
+}
+
+const teable = new Teable();
+const brandingService = new BrandingService({ teable, logger });
+const apiKeyAuth = new ApiKeyAuth({ teable, logger, metricsCollector });
+const surveyDefinitions = new SurveyDefinitions({ teable, logger });
+const requireAdmin = apiKeyAuth.requireRole('admin');
+const requireReporting = apiKeyAuth.requireRole('reporting');
+const requireWebhookKey = apiKeyAuth.requireWebhookKey();
+const webhookLog = new WebhookLog({ teable, logger });
+const syncro = new SyncroClient();
+const autotask = new AutotaskClient();
+const webhookMappings = new WebhookMappings({ teable, logger });
+const connectwise = new ConnectWiseClient();
+const writeBack = new WriteBack({ teable, logger, metricsCollector, connectors: { syncro, connectwise } });
+const outboundWebhooks = new OutboundWebhooks({ teable, logger, metricsCollector });
+const followUps = new FollowUps({ teable, logger, metricsCollector });
+const mailer = new Mailer({ teable, logger, metricsCollector });
+const reminders = new ReminderScheduler({ teable, logger, metricsCollector, mailer });
+const alertService = new AlertService({
+  teable,
+  logger,
+  metricsCollector,
+  dashboardUrl: process.env.PUBLIC_ORIGIN ? `${process.env.PUBLIC_ORIGIN.replace(/\/$/, '')}/admin` : null
+});
+
+// Generate survey token with collision detection
+async function generateUniqueToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Find an existing survey for the same ticket + customer that should be shown instead of creating a new one.
+// RESURVEY_POLICY controls what happens once a survey was completed:
+//   never    - always show the completed survey
+//   reopened - create a new survey when the ticket was closed again after the completed one (default)
+//   always   - create a new survey on every click once the previous one is completed
+async function findReusableSurvey(ticketId, customerEmail, completionDate) {
+  const existing = await teable.getRecords('survey_responses', {
+    filterByFormula: `AND({ticket_external_id} = "${escapeFormulaValue(ticketId)}", {customer_email} = "${escapeFormulaValue(customerEmail)}")`
+  });
+
+  const newestFirst = existing.sort((a, b) =>
+    new Date(b.fields.created_at || 0) - new Date(a.fields.created_at || 0)
+  );
+
+  const pending = newestFirst.find(r =>
+    (r.fields.status === 'pending' || r.fields.status === 'partial') && !isSurveyExpired(r.fields)
+  );
+  if (pending) {
+    return { record: pending, reason: 'pending' };
+  }
+
+  const completed = newestFirst.find(r => r.fields.status === 'completed');
+  if (!completed) {
+    return null;
+  }
+
+  const policy = process.env.RESURVEY_POLICY || 'reopened';
+  if (policy === 'always') {
+    return null;
+  }
+  if (policy === 'reopened' && completionDate && completed.fields.completion_date &&
+      new Date(completionDate) > new Date(completed.fields.completion_date)) {
+    return null;
+  }
+
+  return { record: completed, reason: 'completed' };
+}
+
+function surveyUrl(token) {
+  const origin = (process.env.PUBLIC_ORIGIN || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  return `${origin}/survey/${token}`;
+}
+
+// Create the survey_responses record for a ticket and return it
+async function createSurveyRecord(ticket, activeSurvey, fields = {}) {
+  const token = await generateUniqueToken();
+  const expiryDate = new Date();
+  expiryDate.setDate(expiryDate.getDate() + (parseInt(process.env.SURVEY_EXPIRY_DAYS) || 30));
+
+  const record = {
+    Name: `Survey Response - ${ticket.ticket_id}`,
+    token,
+    status: 'pending',
+    ticket_external_id: ticket.ticket_id,
+    survey_id: activeSurvey.survey.id,
+    ...(activeSurvey.version && { survey_version: activeSurvey.version }),
+    customer_email: ticket.customer_email,
+    customer_name: ticket.customer_name,
+    ticket_subject: ticket.ticket_subject,
+    technician_name: ticket.technician_name,
+    company_name: ticket.company_name,
+    completion_date: ticket.completion_date,
+    priority: ticket.priority,
+    category: ticket.category,
+    survey_url: surveyUrl(token),
+    expires_at: expiryDate.toISOString(),
+    created_at: new Date().toISOString(),
+    ...fields
+  };
+  const result = await teable.createRecord('survey_responses', record);
+  outboundWebhooks.emit('survey.created', result.records?.[0]?.id, record);
+
+  return { id: result.records?.[0]?.id, fields: record };
+}
+
+// Mark an unsubmitted survey past its expiry date expired and send survey.expired. That includes
+// partial ones, whose one-click rating was never confirmed by submitting the form.
+async function expireSurvey(surveyResponse) {
+  if (!['pending', 'partial'].includes(surveyResponse.fields.status)) return;
+
+  await teable.updateRecord('survey_responses', surveyResponse.id, { status: 'expired' });
+  outboundWebhooks.emit('survey.expired', surveyResponse.id, { ...surveyResponse.fields, status: 'expired' });
+}
+
+// When an expired survey is opened or submitted before the sweep got to it
+function markExpired(surveyResponse) {
+  expireSurvey(surveyResponse)
+    .catch(error => logger.warn('Unable to mark survey expired', { recordId: surveyResponse.id, error: error.message }));
+}
+
+// Most surveys that expire are never opened, so they are found by a sweep
+const expirySweep = new Sweep({
+  task: async () => {
+    const records = await teable.getAllRecords('survey_responses', {
+      filterByFormula: `OR({status} = "pending", {status} = "partial")`
+    });
+    for (const record of records.filter(r => isSurveyExpired(r.fields))) {
+      await expireSurvey(record);
+    }
+  },
+  intervalMs: 15 * 60 * 1000,
+  description: 'expiring surveys',
+  logger
+});
+
+function lowScoreThreshold() {
+  return parseInt(process.env.LOW_SCORE_THRESHOLD) || 2;
+}
+
+// Open a follow-up case for a completed response rated at or below LOW_SCORE_THRESHOLD. One-click
+// ratings are left out: mail scanners that prefetch links can set them. A case that already exists
+// for the response is brought up to date with the final rating instead.
+function openFollowUp(recordId, fields) {
+  if (!recordId || fields.status !== 'completed') return;
+
+  const isLow = typeof fields.overall_rating === 'number' && fields.overall_rating <= lowScoreThreshold();
+  if (fields.followup_case_id) {
+    followUps.applyFinalRating(fields.followup_case_id, fields, { isLow }).catch(error => {
+      logger.error('Unable to update follow-up case', { recordId, caseId: fields.followup_case_id, error: error.message });
+    });
+    return;
+  }
+  if (!isLow) return;
+
+  followUps.open(recordId, fields).catch(error => {
+    if (error.code === 'FOLLOW_UP_EXISTS') return;
+    logger.error('Unable to open follow-up case', { recordId, error: error.message });
+  });
+}
+
+// Record the first time a survey page is opened
+function markViewed(surveyResponse) {
+  if (surveyResponse.fields.viewed_at) return;
+
+  const fields = { ...surveyResponse.fields, viewed_at: new Date().toISOString() };
+  teable.updateRecord('survey_responses', surveyResponse.id, { viewed_at: fields.viewed_at })
+    .then(() => outboundWebhooks.emit('survey.viewed', surveyResponse.id, fields))
+    .catch(error => logger.warn('Unable to record survey view', { recordId: surveyResponse.id, error: error.message }));
+}
+
+const FALLBACK_QUESTIONS = [
+  {
+    id: 'overall_satisfaction',
+    type: 'rating',
+    question: allTranslations('fallback_overall'),
+    scale: 5,
+    required: true,
+    scored: true
+  },
+  {
+    id: 'additional_comments',
+    type: 'text',
+    question: allTranslations('fallback_comments'),
+    required: false
+  }
+];
+
+function parseSurvey(record) {
+  let questions = [];
+
+  try {
+    questions = JSON.parse(record.fields.questions || '[]');
+  } catch (e) {
+    logger.error('Error parsing survey questions', { surveyId: record.id, error: e.message });
+    metricsCollector.counter('survey_definition_errors', 1);
+    questions = FALLBACK_QUESTIONS;
+  }
+
+  return { survey: record, questions, version: record.fields.current_version || null };
+}
+
+// Pick the survey definition for a ticket using the routing rules of the active surveys
+async function selectSurveyForTicket(ticket) {
+  const surveys = await teable.getRecords('surveys', {
+    filterByFormula: `{is_active} = TRUE()`
+  });
+
+  const survey = selectSurvey(surveys || [], ticket, logger);
+  return survey ? parseSurvey(survey) : null;
+}
+
+// Load the survey definition a response was created with: the published version it was answered
+// against, then the survey's current definition, then routing again for older records
+async function loadSurveyForResponse(fields) {
+  if (fields.survey_id && fields.survey_version) {
+    try {
+      return await surveyDefinitions.loadPublished(fields.survey_id, fields.survey_version);
+    } catch (error) {
+      logger.warn('Stored survey version unavailable, using current definition', {
+        surveyId: fields.survey_id,
+        version: fields.survey_version,
+        error: error.message
+      });
+    }
+  }
+
+  if (fields.survey_id) {
+    try {
+      return parseSurvey(await teable.getRecordById('surveys', fields.survey_id));
+    } catch (error) {
+      logger.warn('Stored survey definition unavailable, routing again', {
+        surveyId: fields.survey_id,
+        error: error.message
+      });
+    }
+  }
+
+  return selectSurveyForTicket(fields);
+}
+
+function parseResponses(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    logger.warn('Error parsing saved survey responses', { error: e.message });
+    return {};
+  }
+}
+
+// Validate a one-click rating from an email link against the first scale question of the survey
+function resolveOneClickRating(rating, questions) {
+  const question = questions.find(q => isScaleType(q.type));
+  if (!question) {
+    throw new Error('Rating is not supported by this survey');
+  }
+
+  try {
+    return { questionId: question.id, value: parseAnswer(question, rating) };
+  } catch (error) {
+    throw new Error(`Rating is invalid: ${error.message}`);
+  }
+}
+
+// Locale for a request: explicit lang parameter, then the stored survey locale, then Accept-Language
+function requestLocale(req, storedLocale) {
+  return normalizeLocale(req.query.lang)
+    || normalizeLocale(storedLocale)
+    || negotiateLocale(req.get('Accept-Language'))
+    || DEFAULT_LOCALE;
+}
+
+// Survey title/description in the customer's locale, from the survey's `translations` JSON
+function surveyText(survey, locale) {
+  let translations = {};
+  try {
+    translations = JSON.parse(survey.fields.translations || '{}');
+  } catch (e) {
+    logger.warn('Error parsing survey translations', { surveyId: survey.id, error: e.message });
+  }
+
+  const localized = translations[locale] || {};
+  return {
+    title: localized.title || survey.fields.Name || t(locale, 'survey_title_default'),
+    description: localized.description || survey.fields.description || ''
+  };
+}
+
+function renderTicketContext(fields, locale) {
+  const na = t(locale, 'not_available');
+  return html`
+      <div class="ticket-context">
+        <h3>📋 ${t(locale, 'ticket_details')}</h3>
+        <div class="ticket-details">
+          <p><strong>${t(locale, 'ticket_number')}</strong> ${fields.ticket_external_id || na}</p>
+          <p><strong>${t(locale, 'subject')}</strong> ${fields.ticket_subject || na}</p>
+          <p><strong>${t(locale, 'technician')}</strong> ${fields.technician_name || na}</p>
+          <p><strong>${t(locale, 'company')}</strong> ${fields.company_name || na}</p>
+          <p><strong>${t(locale, 'completed')}</strong> ${fields.completion_date ? formatDate(fields.completion_date, locale) : na}</p>
+          ${fields.priority ? html`<p><strong>${t(locale, 'priority')}</strong> ${fields.priority}</p>` : ''}
+          ${fields.category ? html`<p><strong>${t(locale, 'category')}</strong> ${fields.category}</p>` : ''}
+        </div>
+      </div>
+    `;
+}
+
+// Template values shared by every survey page in a locale
+function localePageData(locale, branding) {
+  const messages = clientMessages(locale);
+  if (branding && branding.thankYouMessage) {
+    messages.feedback_received_body = branding.thankYouMessage;
+  }
+
+  return {
+    lang: locale,
+    submit_label: t(locale, 'submit'),
+    privacy_note: t(locale, 'privacy_note'),
+    client_messages: json(messages)
+  };
+}
+
+function renderSuccessPage(locale, message, branding) {
+  return loadTemplate('success', {
+    lang: locale,
+    page_title: t(locale, 'survey_complete_title'),
+    heading: t(locale, 'thank_you'),
+    message
+  }, branding);
+}
+
+function renderErrorPage(locale, messageKey) {
+  return loadTemplate('error', {
+    lang: locale,
+    page_title: t(locale, 'error_title'),
+    message: t(locale, messageKey)
+  });
+}
+
+// Load HTML template with the branding profile applied.
+// Values are HTML-escaped; pass trusted fragments through html`` or raw().
+function loadTemplate(name, data = {}, branding) {
+  try {
+    return renderTemplate(name, { ...brandingTemplateData(branding), ...data });
+  } catch (error) {
+    logger.error(`Error loading template ${name}`, { error: error.message });
+    return `<h1>Error loading template</h1><p>${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// Setup health checks
+healthMonitor.addCheck('teable_connectivity', async () => {
+  await teable.client.get('/space', { timeout: 5000 });
+  return { status: 'connected', timestamp: new Date().toISOString() };
+}, { timeout: 6000, critical: true });
+
+healthMonitor.addCheck('database_access', async () => {
+  const tables = await teable.client.get(`/base/${teable.baseId}/table`, { timeout: 5000 });
+  return { 
+    status: 'accessible', 
+    tableCount: tables.length,
+    timestamp: new Date().toISOString() 
+  };
+}, { timeout: 6000, critical: true });
+
+healthMonitor.addCheck('file_system', async () => {
+  const viewsPath = path.join(__dirname, 'views');
+  const files = fs.readdirSync(viewsPath);
+  return { 
+    status: 'accessible',
+    viewFiles: files.length,
+    timestamp: new Date().toISOString() 
+  };
+}, { timeout: 1000, critical: false });
+
+// Health check endpoint: status only, full details for admin API keys
+async function isAdminRequest(req) {
+  const rawKey = extractApiKey(req);
+  if (!rawKey) return false;
+
+  try {
+    const key = await apiKeyAuth.authenticate(rawKey);
+    if (!key) {
+      apiKeyAuth.recordFailure(req, 'invalid');
+    } else if (!apiKeyAuth.hasRole(key, ['admin'])) {
+      apiKeyAuth.recordFailure(req, 'forbidden', key);
+    }
+    return !!key && apiKeyAuth.hasRole(key, ['admin']);
+  } catch (error) {
+    return false;
+  }
+}
+
+app.get('/health', async (req, res) => {
+  const health = {
+    status: 'ok',
+    timestamp: new Date().toISOString()
+  };
+  
+  // Get health monitor status
+  const healthStatus = healthMonitor.getStatus();
+  
+  // Determine overall status
+  if (healthStatus.status === 'unhealthy' || healthStatus.criticalFailures > 0) {
+    health.status = 'unhealthy';
+  } else if (healthStatus.healthyChecks < healthStatus.totalChecks) {
+    health.status = 'degraded';
+  }
+
+  if (await isAdminRequest(req)) {
+    Object.assign(health, {
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      teable_configured: !!(process.env.TEABLE_API_TOKEN && process.env.TEABLE_BASE_ID),
+      config: {
+        teable_url: process.env.TEABLE_URL,
+        base_id: process.env.TEABLE_BASE_ID,
+        has_token: !!process.env.TEABLE_API_TOKEN,
+        node_env: process.env.NODE_ENV || 'development'
+      },
+      healthChecks: healthStatus,
+      metrics: metricsCollector.getMetrics()
+    });
+  }
+  
+  const statusCode = health.status === 'ok' ? 200 : 503;
+  res.status(statusCode).json(health);
+});
+
+// Metrics endpoint
+app.get('/metrics', requireAdmin, (req, res) => {
+  const metrics = metricsCollector.getMetrics();
+  res.json({
+    timestamp: new Date().toISOString(),
+    metrics
+  });
+});
+
+// API key management; the plain key is only returned when it is created
+app.get('/api/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const records = await teable.getAllRecords('api_keys');
+    res.json({
+      api_keys: records.map(record => ({
+        id: record.id,
+        name: record.fields.Name || '',
+        role: record.fields.role,
+        key_prefix: record.fields.key_prefix || '',
+        is_active: !!record.fields.is_active,
+        last_used_at: record.fields.last_used_at || null,
+        created_at: record.fields.created_at || null
+      }))
+    });
+  } catch (error) {
+    sendErrorResponse(res, error, 500);
+  }
+});
+
+app.post('/api/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const name = sanitizeString(req.body.name, 100);
+    const role = req.body.role;
+    if (!name || !ROLES.includes(role)) {
+      const error = new Error(`name is required and role must be one of: ${ROLES.join(', ')}`);
+      error.code = 'INVALID_API_KEY_REQUEST';
+      return sendErrorResponse(res, error, 400);
+    }
+
+    const key = generateApiKey();
+    const result = await teable.createRecord('api_keys', {
+      Name: name,
+      role,
+      key_hash: hashApiKey(key),
+      key_prefix: key.substring(0, 12),
+      is_active: true
+    });
+    apiKeyAuth.clearCache();
+
+    logger.info('API key created', { name, role, createdBy: req.apiKey.name });
+    res.status(201).json({ id: result.records?.[0]?.id, name, role, key });
+  } catch (error) {
+    sendErrorResponse(res, error, 500);
+  }
+});
+
+app.delete('/api/admin/api-keys/:id', requireAdmin, async (req, res) => {
+  try {
+    validateRecordId(req.params.id, 'API key');
+    await teable.updateRecord('api_keys', req.params.id, { is_active: false });
+    apiKeyAuth.clearCache();
+
+    logger.info('API key revoked', { id: req.params.id, revokedBy: req.apiKey.name });
+    res.json({ id: req.params.id, revoked: true });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+// Outbound webhook subscriptions (admin)
+app.get('/api/webhook-subscriptions', requireAdmin, async (req, res) => {
+  try {
+    res.json({ subscriptions: await outboundWebhooks.listSubscriptions() });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+// The signing secret is only returned here
+app.post('/api/webhook-subscriptions', requireAdmin, async (req, res) => {
+  try {
+    const subscription = await outboundWebhooks.createSubscription(req.body);
+    logger.info('Webhook subscription added', { id: subscription.id, createdBy: req.apiKey.name });
+    res.status(201).json(subscription);
+  } catch (error) {
+    logger.error('Webhook subscription create error', { error: error.message });
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.patch('/api/webhook-subscriptions/:id', requireAdmin, async (req, res) => {
+  try {
+    res.json(await outboundWebhooks.updateSubscription(validateRecordId(req.params.id, 'subscription'), req.body));
+  } catch (error) {
+    logger.error('Webhook subscription update error', { id: req.params.id, error: error.message });
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+// Deactivates the subscription; its delivery log is kept
+app.delete('/api/webhook-subscriptions/:id', requireAdmin, async (req, res) => {
+  try {
+    res.json(await outboundWebhooks.updateSubscription(validateRecordId(req.params.id, 'subscription'), { is_active: false }));
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.get('/api/webhook-subscriptions/:id/deliveries', requireAdmin, async (req, res) => {
+  try {
+    const deliveries = await outboundWebhooks.listDeliveries(validateRecordId(req.params.id, 'subscription'), {
+      status: req.query.status,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+    res.json({ deliveries });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.post('/api/webhook-deliveries/:id/redeliver', requireAdmin, async (req, res) => {
+  try {
+    res.json(await outboundWebhooks.redeliver(validateRecordId(req.params.id, 'delivery')));
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+// Low-score alert rules (admin)
+app.get('/api/alert-rules', requireAdmin, async (req, res) => {
+  try {
+    res.json({ rules: await alertService.listRules() });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.post('/api/alert-rules', requireAdmin, async (req, res) => {
+  try {
+    const rule = await alertService.createRule(req.body);
+    logger.info('Alert rule added', { id: rule.id, createdBy: req.apiKey.name });
+    res.status(201).json(rule);
+  } catch (error) {
+    logger.error('Alert rule create error', { error: error.message });
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.patch('/api/alert-rules/:id', requireAdmin, async (req, res) => {
+  try {
+    res.json(await alertService.updateRule(validateRecordId(req.params.id, 'alert rule'), req.body));
+  } catch (error) {
+    logger.error('Alert rule update error', { id: req.params.id, error: error.message });
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+// Deactivates the rule; alerts it already sent are kept
+app.delete('/api/alert-rules/:id', requireAdmin, async (req, res) => {
+  try {
+    res.json(await alertService.updateRule(validateRecordId(req.params.id, 'alert rule'), { is_active: false }));
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+// Posts a sample card to the rule's channel
+app.post('/api/alert-rules/:id/test', requireAdmin, async (req, res) => {
+  try {
+    res.json(await alertService.sendTest(validateRecordId(req.params.id, 'alert rule')));
+  } catch (error) {
+    logger.warn('Alert rule test failed', { id: req.params.id, error: error.message });
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+// Follow-up cases for low-rated responses (admin)
+app.get('/api/follow-ups', requireAdmin, async (req, res) => {
+  try {
+    const cases = await followUps.list({
+      status: req.query.status,
+      owner: req.query.owner,
+      overdue: req.query.overdue === 'true'
+    });
+    res.json({ follow_ups: cases });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+// Open a case by hand for any rated response; returns the existing case if it has one
+app.post('/api/follow-ups', requireAdmin, async (req, res) => {
+  try {
+    const responseId = validateRecordId(String(req.body.survey_response_id || ''), 'survey response');
+    let response;
+    try {
+      response = await teable.getRecordById('survey_responses', responseId);
+    } catch (error) {
+      if (error.status !== 404 && error.status !== 400) throw error;
+      const notFound = new Error('Survey response not found');
+      notFound.code = 'NOT_FOUND';
+      notFound.status = 404;
+      throw notFound;
+    }
+
+    const owner = req.body.owner ? sanitizeString(req.body.owner, 100) : undefined;
+    const { followUp, created } = await followUps.open(responseId, response.fields, { owner });
+    res.status(created ? 201 : 200).json(followUp);
+  } catch (error) {
+    logger.error('Follow-up create error', { error: error.message });
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.get('/api/follow-ups/:id', requireAdmin, async (req, res) => {
+  try {
+    res.json(await followUps.get(validateRecordId(req.params.id, 'follow-up')));
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.patch('/api/follow-ups/:id', requireAdmin, async (req, res) => {
+  try {
+    res.json(await followUps.update(validateRecordId(req.params.id, 'follow-up'), req.body));
+  } catch (error) {
+    logger.error('Follow-up update error', { id: req.params.id, error: error.message });
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.post('/api/follow-ups/:id/notes', requireAdmin, async (req, res) => {
+  try {
+    const followUp = await followUps.addNote(validateRecordId(req.params.id, 'follow-up'), req.body.text, req.apiKey.name);
+    res.status(201).json(followUp);
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+// Survey invitation emails
+// Create the survey for a ticket, or reuse its open one, and email the invitation
+app.post('/api/surveys/send', requireWebhookKey, async (req, res) => {
+  try {
+    if (!mailer.isConfigured()) {
+      throw mailError('SMTP is not configured', 'EMAIL_NOT_CONFIGURED', 503);
+    }
+
+    const body = req.body || {};
+    const psa_source = sanitizeString(body.psa, 50).toLowerCase();
+    const { action, reason, record } = await findOrCreateSurvey(body, 'email', { psa_source });
+    const result = { survey: action, survey_url: surveyUrl(record.fields.token) };
+
+    if (reason === 'completed') {
+      return res.json({ ...result, action: 'skipped', reason: 'Survey already completed' });
+    }
+    if (record.fields.invitation_sent_at && body.resend !== true) {
+      return res.json({ ...result, action: 'skipped', reason: 'Invitation already sent; pass "resend": true to send it again' });
+    }
+
+    const send = await mailer.send(record, { template: sanitizeString(body.template, 100) });
+    res.status(send.status === 'queued' ? 202 : 200).json({ ...result, action: send.status, send });
+  } catch (error) {
+    logger.error('Survey email send error', { error: error.message });
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.get('/api/email/sends', requireAdmin, async (req, res) => {
+  try {
+    const sends = await mailer.listSends({
+      status: req.query.status,
+      ticketId: req.query.ticket_id ? sanitizeString(req.query.ticket_id, 100) : undefined,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+    res.json({ sends });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+// Bounces and complaints reported later by the mail provider; the address is not mailed again
+app.post('/api/email/bounces', requireWebhookKey, async (req, res) => {
+  try {
+    let email;
+    try {
+      email = validateEmail(req.body?.email);
+    } catch (error) {
+      throw mailError(error.message, 'INVALID_EMAIL', 422);
+    }
+
+    const added = await mailer.suppress(email, sanitizeString(req.body.reason, 1000) || 'Reported bounce', 'report');
+    res.json({ email, suppressed: true, action: added ? 'added' : 'existing' });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.get('/api/email/suppressions', requireAdmin, async (req, res) => {
+  try {
+    res.json({ suppressions: await mailer.listSuppressions() });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.delete('/api/email/suppressions/:email', requireAdmin, async (req, res) => {
+  try {
+    await mailer.removeSuppression(req.params.email);
+    logger.info('Email suppression lifted', { email: req.params.email, removedBy: req.apiKey.name });
+    res.json({ email: req.params.email, suppressed: false });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+function reportOptions() {
+  return { satisfiedThreshold: parseInt(process.env.CSAT_SATISFIED_THRESHOLD) || 4 };
+}
+
+// Follow-up cases keyed by survey response id, for closure figures next to CSAT
+async function followUpsByResponse() {
+  const cases = (await teable.getAllRecords('followup_cases')).map(toCase);
+  return new Map(cases.map(c => [c.survey_response_id, c]));
+}
+
+// CSAT report over a date range, optionally grouped by technician, company, category or priority
+app.get('/api/reports/csat', requireReporting, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const range = parseDateRange(req.query);
+    const groupBy = req.query.group_by || null;
+
+    if (groupBy && !GROUP_BY_FIELDS.includes(groupBy)) {
+      const error = new Error(`group_by must be one of: ${GROUP_BY_FIELDS.join(', ')}`);
+      error.code = 'INVALID_GROUP_BY';
+      return sendErrorResponse(res, error, 400);
+    }
+
+    const records = (await teable.getAllRecords('survey_responses')).filter(record => inDateRange(record, range));
+    const report = aggregate(records, groupBy, { ...reportOptions(), followUps: await followUpsByResponse() });
+
+    metricsCollector.histogram('report_duration_ms', Date.now() - startTime, { report: 'csat' });
+
+    res.json({
+      from: range.from ? range.from.toISOString() : null,
+      to: range.to ? range.to.toISOString() : null,
+      group_by: groupBy,
+      ...report,
+      generated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    sendErrorResponse(res, error, error.status === 400 ? 400 : 500);
+  }
+});
+
+// Scorecards for every technician with responses in the range
+app.get('/api/reports/scorecards', requireReporting, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    const byTechnician = new Map();
+    for (const record of await teable.getAllRecords('survey_responses')) {
+      const technician = record.fields.technician_name;
+      if (!technician) continue;
+      if (!byTechnician.has(technician)) byTechnician.set(technician, []);
+      byTechnician.get(technician).push(record);
+    }
+
+    const options = { ...reportOptions(), followUps: await followUpsByResponse() };
+    const scorecards = [...byTechnician.entries()]
+      .map(([technician, records]) => technicianScorecard(technician, records, range, options))
+      .filter(card => card.sent > 0)
+      .sort((a, b) => a.technician_name.localeCompare(b.technician_name));
+
+    res.json({
+      from: range.from ? range.from.toISOString() : null,
+      to: range.to ? range.to.toISOString() : null,
+      scorecards,
+      generated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    sendErrorResponse(res, error, error.status === 400 ? 400 : 500);
+  }
+});
+
+// One technician's scorecard over the query's date range; throws NOT_FOUND when they have no surveys
+async function loadScorecard(technicianName, query) {
+  const range = parseDateRange(query);
+  const technician = sanitizeString(technicianName, 100);
+  const records = await teable.getAllRecords('survey_responses', {
+    filterByFormula: `{technician_name} = "${escapeFormulaValue(technician)}"`
+  });
+
+  if (records.length === 0) {
+    const error = new Error('No surveys found for this technician');
+    error.code = 'NOT_FOUND';
+    error.status = 404;
+    throw error;
+  }
+
+  const card = technicianScorecard(technician, records, range, {
+    ...reportOptions(),
+    followUps: await followUpsByResponse()
+  });
+  return { card, range };
+}
+
+// One technician's scorecard as JSON, or as a printable page with format=html
+app.get('/api/reports/scorecards/:technician', requireReporting, async (req, res) => {
+  try {
+    const { card, range } = await loadScorecard(req.params.technician, req.query);
+
+    if (req.query.format === 'html') {
+      return res.send(renderTemplate('scorecard', scorecardTemplateData(card, range)));
+    }
+
+    res.json({
+      from: range.from ? range.from.toISOString() : null,
+      to: range.to ? range.to.toISOString() : null,
+      ...card,
+      generated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    sendErrorResponse(res, error, [400, 404].includes(error.status) ? error.status : 500);
+  }
+});
+
+// Filtered export of survey responses as CSV (default) or XLSX
+app.get('/api/reports/export', requireReporting, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      const error = new Error('format must be csv or xlsx');
+      error.code = 'INVALID_FORMAT';
+      return sendErrorResponse(res, error, 400);
+    }
+
+    const filters = parseExportFilters(req.query);
+    const records = (await teable.getAllRecords('survey_responses')).filter(record => matchesFilters(record, filters));
+    const data = buildExport(records);
+    const filename = `survey-responses-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'xlsx') {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await writeXlsx(res, data);
+    } else {
+      res.type('text/csv; charset=utf-8');
+      writeCsv(res, data);
+    }
+
+    metricsCollector.counter('exports_total', 1, { format });
+    metricsCollector.histogram('export_duration_ms', Date.now() - startTime, { format });
+    logger.info('Survey responses exported', { format, rows: records.length });
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('Export failed after streaming started', { error: error.message });
+      return res.end();
+    }
+    sendErrorResponse(res, error, error.status === 400 ? 400 : 500);
+  }
+});
+
+// Admin dashboard
+const requireAdminSession = adminAuth.middleware();
+
+app.get('/admin/login', (req, res) => {
+  if (adminAuth.verifySession(req.headers.cookie)) {
+    return res.redirect('/admin');
+  }
+  const error = adminAuth.isConfigured() ? '' : 'Admin login is not configured. Set ADMIN_USERNAME and ADMIN_PASSWORD.';
+  res.send(renderTemplate('admin/login', { error }));
+});
+
+app.post('/admin/login', adminLoginLimiter, (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (!adminAuth.checkCredentials(username, password)) {
+    logger.warn('Failed admin login', { ip: req.ip, username: sanitizeString(username, 100) });
+    metricsCollector.counter('admin_login_failures', 1);
+    return res.status(401).send(renderTemplate('admin/login', { error: 'Invalid username or password' }));
+  }
+
+  logger.info('Admin login', { ip: req.ip, username });
+  adminAuth.login(res, username);
+  res.redirect('/admin');
+});
+
+app.post('/admin/logout', (req, res) => {
+  adminAuth.logout(res);
+  res.redirect('/admin/login');
+});
+
+app.get('/admin', requireAdminSession, (req, res) => {
+  res.send(renderTemplate('admin/dashboard'));
+});
+
+// Printable scorecard for a browser link, e.g. /admin/scorecards/Jane%20Smith?from=2025-03-01&to=2025-03-31
+app.get('/admin/scorecards/:technician', requireAdminSession, async (req, res) => {
+  try {
+    const { card, range } = await loadScorecard(req.params.technician, req.query);
+    res.send(renderTemplate('scorecard', scorecardTemplateData(card, range)));
+  } catch (error) {
+    const status = [400, 404].includes(error.status) ? error.status : 500;
+    if (status === 500) {
+      logger.error('Error rendering scorecard', { error: error.message });
+    }
+    res.status(status).send(renderTemplate('error', {
+      lang: DEFAULT_LOCALE,
+      page_title: 'Scorecard unavailable',
+      message: status === 500 ? 'Unable to load the scorecard' : error.message
+    }));
+  }
+});
+
+app.get('/admin/api/summary', requireAdminSession, async (req, res) => {
+  try {
+    const records = await teable.getAllRecords('survey_responses');
+    res.json({
+      ...dashboardSummary(records, {
+        ...reportOptions(),
+        lowScoreThreshold: lowScoreThreshold()
+      }),
+      health: healthMonitor.getStatus(),
+      generated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    sendErrorResponse(res, error, 500);
+  }
+});
+
+// Survey definition management
+app.get('/api/surveys', requireAdmin, async (req, res) => {
+  try {
+    res.json({ surveys: await surveyDefinitions.listSurveys() });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
 
-// Generate survey token with collision detection
-async function generateUniqueToken() {
-  return crypto.randomBytes(32).toString('hex');
-}
+app.post('/api/surveys', requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await surveyDefinitions.create(req.body));
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
 
-// Load HTML template
-function loadTemplate(name, data = {}) {
+app.get('/api/surveys/:id', requireAdmin, async (req, res) => {
   try {
-    const template = fs.readFileSync(path.join(__dirname, 'views', `${name}.html`), 'utf8');
-    return template.replace(/{{(\w+)}}/g, (match, key) => data[key] || '');
+    res.json(await surveyDefinitions.getSurvey(validateRecordId(req.params.id, 'survey')));
   } catch (error) {
-    logger.error(`Error loading template ${name}`, { error: error.message });
-    return `<h1>Error loading template</h1><p>${error.message}</p>`;
+    sendErrorResponse(res, error, errorStatus(error));
   }
-}
+});
 
-// Setup health checks
-healthMonitor.addCheck('teable_connectivity', async () => {
-  await teable.client.get('/space', { timeout: 5000 });
-  return { status: 'connected', timestamp: new Date().toISOString() };
-}, { timeout: 6000, critical: true });
+// Routing rules, rule order and is_active; question changes go through drafts
+app.patch('/api/surveys/:id', requireAdmin, async (req, res) => {
+  try {
+    res.json(await surveyDefinitions.updateSettings(validateRecordId(req.params.id, 'survey'), req.body));
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
 
-healthMonitor.addCheck('database_access', async () => {
-  const tables = await teable.client.get(`/base/${teable.baseId}/table`, { timeout: 5000 });
-  return { 
-    status: 'accessible', 
-    tableCount: tables.length,
-    timestamp: new Date().toISOString() 
-  };
-}, { timeout: 6000, critical: true });
+// Surveys are deactivated rather than deleted so existing responses keep their definition
+app.delete('/api/surveys/:id', requireAdmin, async (req, res) => {
+  try {
+    res.json(await surveyDefinitions.updateSettings(validateRecordId(req.params.id, 'survey'), { is_active: false }));
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
 
-healthMonitor.addCheck('file_system', async () => {
-  const viewsPath = path.join(__dirname, 'views');
-  const files = fs.readdirSync(viewsPath);
-  return { 
-    status: 'accessible',
-    viewFiles: files.length,
-    timestamp: new Date().toISOString() 
-  };
-}, { timeout: 1000, critical: false });
+app.put('/api/surveys/:id/draft', requireAdmin, async (req, res) => {
+  try {
+    res.json(await surveyDefinitions.saveDraft(validateRecordId(req.params.id, 'survey'), req.body));
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
 
-// Health check endpoint with comprehensive monitoring
-app.get('/health', async (req, res) => {
-  const health = {
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: process.memoryUsage(),
-    teable_configured: !!(process.env.TEABLE_API_TOKEN && process.env.TEABLE_BASE_ID),
-    config: {
-      teable_url: process.env.TEABLE_URL,
-      base_id: process.env.TEABLE_BASE_ID,
-      has_token: !!process.env.TEABLE_API_TOKEN,
-      node_env: process.env.NODE_ENV || 'development'
-    }
-  };
-  
-  // Get health monitor status
-  const healthStatus = healthMonitor.getStatus();
-  health.healthChecks = healthStatus;
-  
-  // Get metrics
-  health.metrics = metricsCollector.getMetrics();
-  
-  // Determine overall status
-  if (healthStatus.status === 'unhealthy' || healthStatus.criticalFailures > 0) {
-    health.status = 'unhealthy';
-  } else if (healthStatus.healthyChecks < healthStatus.totalChecks) {
-    health.status = 'degraded';
+app.post('/api/surveys/:id/publish', requireAdmin, async (req, res) => {
+  try {
+    const published = await surveyDefinitions.publish(validateRecordId(req.params.id, 'survey'));
+    logger.info('Survey published via API', { surveyId: req.params.id, version: published.version, by: req.apiKey.name });
+    res.json(published);
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
   }
-  
-  const statusCode = health.status === 'ok' ? 200 : 503;
-  res.status(statusCode).json(health);
 });
 
-// Metrics endpoint
-app.get('/metrics', (req, res) => {
-  const metrics = metricsCollector.getMetrics();
-  res.json({
-    timestamp: new Date().toISOString(),
-    metrics
-  });
+// `version` is a number or "draft"
+app.get('/api/surveys/:id/versions/:version', requireAdmin, async (req, res) => {
+  try {
+    res.json(await surveyDefinitions.getVersion(validateRecordId(req.params.id, 'survey'), req.params.version));
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+// Preview a draft or published version as customers would see it; submitting does not save anything
+app.get('/admin/surveys/:id/preview', requireAdminSession, async (req, res) => {
+  try {
+    const locale = requestLocale(req);
+    const definition = await surveyDefinitions.getVersion(req.params.id, req.query.version || 'draft');
+    const branding = await brandingService.resolve({ brand: req.query.brand });
+    const { title, description } = surveyText({
+      id: req.params.id,
+      fields: {
+        Name: definition.name,
+        description: definition.description,
+        translations: JSON.stringify(definition.translations)
+      }
+    }, locale);
+
+    res.send(loadTemplate('survey', {
+      ...localePageData(locale, branding),
+      preview_banner: html`<div class="preview-banner">Preview of version ${definition.version} (${definition.status}) - responses are not saved</div>`,
+      title,
+      description,
+      ticket_context: renderTicketContext({
+        ticket_external_id: 'PREVIEW',
+        ticket_subject: 'Preview',
+        technician_name: 'Technician',
+        company_name: 'Company',
+        completion_date: new Date().toISOString()
+      }, locale),
+      questions: renderQuestions(definition.questions, {}, locale),
+      token: 'preview'
+    }, branding));
+  } catch (error) {
+    const status = error.status === 404 ? 404 : 500;
+    res.status(status).send(renderTemplate('error', {
+      lang: DEFAULT_LOCALE,
+      page_title: 'Preview unavailable',
+      message: error.message
+    }));
+  }
 });
 
 app.get('/survey/create-and-redirect', surveyCreationLimiter, async (req, res) => {
   const startTime = Date.now();
   
   try {
+    const signature = linkSigner.verify(req.query);
+    if (!signature.signed) {
+      logger.warn('Unsigned survey creation link accepted', { ip: req.ip });
+      metricsCollector.counter('unsigned_survey_links', 1);
+    }
+
     const ticket_id = validateTicketId(req.query.ticket_id);
     const customer_email = validateEmail(req.query.customer_email);
     const customer_name = validateName(req.query.customer_name);
@@ -398,23 +1472,60 @@ app.get('/survey/create-and-redirect', surveyCreationLimiter, async (req, res) =
     const completion_date = req.query.completion_date || new Date().toISOString();
     const priority = sanitizeString(req.query.priority, 50);
     const category = sanitizeString(req.query.category, 100);
+    const locale = requestLocale(req);
+    const brand = sanitizeString(req.query.brand, 100);
+    // Which PSA the ticket lives in, for write-back; only trusted from signed links
+    const psa_source = sanitizeString(linkSigner.psaFor(req.query, signature), 50);
 
     logger.info('Creating survey', { 
       ticket_id, 
       customer_email, 
       technician_name,
-      company_name 
+      company_name,
+      signing_key: signature.keyId
     });
 
-    const token = await generateUniqueToken();
-    const expiryDate = new Date();
-    expiryDate.setDate(expiryDate.getDate() + (parseInt(process.env.SURVEY_EXPIRY_DAYS) || 30));
+    const reusable = await findReusableSurvey(ticket_id, customer_email, req.query.completion_date);
+
+    const activeSurvey = reusable
+      ? await loadSurveyForResponse(reusable.record.fields)
+      : await selectSurveyForTicket({ category, priority, company_name, technician_name });
+
+    if (!activeSurvey) {
+      throw new Error('No active survey matches this ticket');
+    }
+
+    // One-click rating from the email: record it against the first rating question straight away
+    const oneClick = req.query.rating !== undefined
+      ? resolveOneClickRating(req.query.rating, activeSurvey.questions)
+      : null;
+
+    if (reusable) {
+      if (oneClick && reusable.reason === 'pending') {
+        const responses = {
+          ...parseResponses(reusable.record.fields.responses),
+          [oneClick.questionId]: oneClick.value
+        };
+        const rated = {
+          status: 'partial',
+          responses: JSON.stringify(responses),
+          overall_rating: computeOverallRating(activeSurvey.questions, responses)
+        };
+        await teable.updateRecord('survey_responses', reusable.record.id, rated);
+        metricsCollector.counter('one_click_ratings', 1);
+      }
+
+      metricsCollector.counter('surveys_reused', 1, { reason: reusable.reason });
+      logger.info('Reusing existing survey', {
+        ticket_id,
+        recordId: reusable.record.id,
+        reason: reusable.reason
+      });
+      return res.redirect(`/survey/${reusable.record.fields.token}`);
+    }
 
-    await teable.createRecord('survey_responses', {
-      Name: `Survey Response - ${ticket_id}`,
-      token,
-      status: 'pending',
-      ticket_external_id: ticket_id,
+    const created = await createSurveyRecord({
+      ticket_id,
       customer_email,
       customer_name,
       ticket_subject,
@@ -422,22 +1533,38 @@ app.get('/survey/create-and-redirect', surveyCreationLimiter, async (req, res) =
       company_name,
       completion_date,
       priority,
-      category,
-      expires_at: expiryDate.toISOString(),
-      created_at: new Date().toISOString()
+      category
+    }, activeSurvey, {
+      locale,
+      brand,
+      psa_source,
+      ...(oneClick && {
+        status: 'partial',
+        responses: JSON.stringify({ [oneClick.questionId]: oneClick.value }),
+        overall_rating: computeOverallRating(activeSurvey.questions, { [oneClick.questionId]: oneClick.value })
+      })
     });
+    const token = created.fields.token;
 
     const duration = Date.now() - startTime;
     metricsCollector.histogram('survey_creation_duration_ms', duration);
     metricsCollector.counter('surveys_created', 1);
+    if (oneClick) {
+      metricsCollector.counter('one_click_ratings', 1);
+    }
     
-    logger.info('Survey created successfully', { token, ticket_id, duration });
+    logger.info('Survey created successfully', { token, ticket_id, surveyId: activeSurvey.survey.id, duration });
     res.redirect(`/survey/${token}`);
   } catch (error) {
     const duration = Date.now() - startTime;
     metricsCollector.histogram('survey_creation_duration_ms', duration, { status: 'error' });
     
-    if (error.message.includes('Email') || error.message.includes('Ticket ID') || error.message.includes('Name')) {
+    if (error.code === 'INVALID_SIGNATURE') {
+      logger.warn('Rejected survey creation link', { reason: error.message, kid: req.query.kid, ip: req.ip });
+      metricsCollector.counter('invalid_survey_signatures', 1);
+      sendErrorResponse(res, error, 403);
+    } else if (error.message.includes('Email') || error.message.includes('Ticket ID') || error.message.includes('Name') ||
+               error.message.includes('Rating')) {
       sendErrorResponse(res, error, 400);
     } else {
       logger.error('Survey creation error', { error: error.message, stack: error.stack });
@@ -457,40 +1584,22 @@ app.get('/survey/:token', async (req, res) => {
     logger.info('Loading survey', { token });
     
     if (token === 'test') {
+      const locale = requestLocale(req);
+      const branding = await brandingService.resolve({ brand: req.query.brand, companyName: 'Test Company' });
       const testSurvey = loadTemplate('survey', {
+        ...localePageData(locale, branding),
         title: 'Test Survey',
         description: 'This is a test survey to verify the system is working.',
-        ticket_context: `
-          <div class="ticket-context">
-            <h3>📋 Test Ticket Details</h3>
-            <div class="ticket-details">
-              <p><strong>Ticket #:</strong> TEST-001</p>
-              <p><strong>Subject:</strong> Test Support Request</p>
-              <p><strong>Technician:</strong> Test Technician</p>
-              <p><strong>Company:</strong> Test Company</p>
-              <p><strong>Completed:</strong> ${new Date().toLocaleDateString()}</p>
-            </div>
-          </div>
-        `,
-        questions: `
-          <div class="question">
-            <label>How satisfied are you with our service? *</label>
-            <div class="rating-group" data-question="overall_satisfaction">
-              <button type="button" class="rating-btn" data-question="overall_satisfaction" data-value="1">1</button>
-              <button type="button" class="rating-btn" data-question="overall_satisfaction" data-value="2">2</button>
-              <button type="button" class="rating-btn" data-question="overall_satisfaction" data-value="3">3</button>
-              <button type="button" class="rating-btn" data-question="overall_satisfaction" data-value="4">4</button>
-              <button type="button" class="rating-btn" data-question="overall_satisfaction" data-value="5">5</button>
-            </div>
-            <input type="hidden" name="overall_satisfaction" required>
-          </div>
-          <div class="question">
-            <label>Any additional comments?</label>
-            <textarea name="additional_comments"></textarea>
-          </div>
-        `,
+        ticket_context: renderTicketContext({
+          ticket_external_id: 'TEST-001',
+          ticket_subject: 'Test Support Request',
+          technician_name: 'Test Technician',
+          company_name: 'Test Company',
+          completion_date: new Date().toISOString()
+        }, locale),
+        questions: renderQuestions(FALLBACK_QUESTIONS, {}, locale),
         token: token
-      });
+      }, branding);
       
       metricsCollector.counter('test_surveys_viewed', 1);
       return res.send(testSurvey);
@@ -500,12 +1609,12 @@ app.get('/survey/:token', async (req, res) => {
       validateToken(token);
     } catch (error) {
       metricsCollector.counter('invalid_tokens', 1);
-      return res.status(400).send('Invalid survey token format');
+      return res.status(400).send(renderErrorPage(requestLocale(req), 'invalid_token'));
     }
     
     if (!process.env.TEABLE_API_TOKEN || !process.env.TEABLE_BASE_ID) {
       logger.error('Missing Teable configuration');
-      return res.status(500).send('Survey system not configured properly');
+      return res.status(500).send(renderErrorPage(requestLocale(req), 'not_configured'));
     }
 
     const surveyResponses = await teable.getRecords('survey_responses', {
@@ -516,118 +1625,62 @@ app.get('/survey/:token', async (req, res) => {
     if (!surveyResponses || surveyResponses.length === 0) {
       logger.warn('Survey not found', { token });
       metricsCollector.counter('surveys_not_found', 1);
-      return res.status(404).send('Survey not found or expired');
+      return res.status(404).send(renderErrorPage(requestLocale(req), 'not_found'));
     }
 
     const surveyResponse = surveyResponses[0];
+    const locale = requestLocale(req, surveyResponse.fields.locale);
+    const branding = await brandingService.resolve({
+      brand: req.query.brand || surveyResponse.fields.brand,
+      companyName: surveyResponse.fields.company_name
+    });
 
     if (surveyResponse.fields.token !== token) {
       logger.error('Token mismatch', { expected: token, got: surveyResponse.fields.token });
       metricsCollector.counter('token_mismatches', 1);
-      return res.status(404).send('Survey not found or expired');
+      return res.status(404).send(renderErrorPage(locale, 'not_found'));
     }
 
     if (surveyResponse.fields.status === 'completed') {
       metricsCollector.counter('completed_surveys_accessed', 1);
-      return res.send(loadTemplate('success', {
-        message: 'Thank you! You have already completed this survey.'
-      }));
+      return res.send(renderSuccessPage(locale, t(locale, 'already_completed'), branding));
     }
 
     if (surveyResponse.fields.expires_at) {
       const expiryDate = new Date(surveyResponse.fields.expires_at);
       if (expiryDate < new Date()) {
         metricsCollector.counter('expired_surveys_accessed', 1);
-        return res.status(410).send('This survey has expired');
+        markExpired(surveyResponse);
+        return res.status(410).send(renderErrorPage(locale, 'expired'));
       }
     }
 
-    const ticketContext = `
-      <div class="ticket-context">
-        <h3>📋 Ticket Details</h3>
-        <div class="ticket-details">
-          <p><strong>Ticket #:</strong> ${surveyResponse.fields.ticket_external_id || 'N/A'}</p>
-          <p><strong>Subject:</strong> ${surveyResponse.fields.ticket_subject || 'N/A'}</p>
-          <p><strong>Technician:</strong> ${surveyResponse.fields.technician_name || 'N/A'}</p>
-          <p><strong>Company:</strong> ${surveyResponse.fields.company_name || 'N/A'}</p>
-          <p><strong>Completed:</strong> ${surveyResponse.fields.completion_date ? new Date(surveyResponse.fields.completion_date).toLocaleDateString() : 'N/A'}</p>
-          ${surveyResponse.fields.priority ? `<p><strong>Priority:</strong> ${surveyResponse.fields.priority}</p>` : ''}
-          ${surveyResponse.fields.category ? `<p><strong>Category:</strong> ${surveyResponse.fields.category}</p>` : ''}
-        </div>
-      </div>
-    `;
+    const ticketContext = renderTicketContext(surveyResponse.fields, locale);
 
-    const surveys = await teable.getRecords('surveys', {
-      filterByFormula: `{is_active} = TRUE()`,
-      maxRecords: 1
-    });
+    const activeSurvey = await loadSurveyForResponse(surveyResponse.fields);
 
-    if (!surveys || surveys.length === 0) {
+    if (!activeSurvey) {
       logger.error('No active surveys found');
-      return res.status(404).send('No surveys available');
+      return res.status(404).send(renderErrorPage(locale, 'no_surveys'));
     }
 
-    const survey = surveys[0];
-    let questions = [];
-    
-    try {
-      questions = JSON.parse(survey.fields.questions || '[]');
-    } catch (e) {
-      logger.error('Error parsing survey questions', { error: e.message });
-      questions = [
-        {
-          id: 'overall_satisfaction',
-          type: 'rating',
-          question: 'How satisfied are you with our service?',
-          scale: 5,
-          required: true
-        },
-        {
-          id: 'additional_comments',
-          type: 'text',
-          question: 'Any additional comments?',
-          required: false
-        }
-      ];
-    }
-    
-    const questionsHtml = questions.map(q => {
-      if (q.type === 'rating') {
-        const buttons = Array.from({length: q.scale}, (_, i) => {
-          const value = i + 1;
-          return `<button type="button" class="rating-btn" data-question="${q.id}" data-value="${value}">${value}</button>`;
-        }).join('');
-        return `
-          <div class="question">
-            <label>${q.question} ${q.required ? '*' : ''}</label>
-            <div class="rating-group" data-question="${q.id}">
-              ${buttons}
-            </div>
-            <input type="hidden" name="${q.id}" ${q.required ? 'required' : ''}>
-          </div>
-        `;
-      } else if (q.type === 'text') {
-        return `
-          <div class="question">
-            <label>${q.question} ${q.required ? '*' : ''}</label>
-            <textarea name="${q.id}" ${q.required ? 'required' : ''}></textarea>
-          </div>
-        `;
-      }
-      return '';
-    }).join('');
+    const { survey, questions } = activeSurvey;
+    const questionsHtml = renderQuestions(questions, parseResponses(surveyResponse.fields.responses), locale);
+    const { title, description } = surveyText(survey, locale);
 
     const duration = Date.now() - startTime;
     metricsCollector.histogram('survey_load_duration_ms', duration);
     metricsCollector.counter('surveys_viewed', 1);
+    markViewed(surveyResponse);
 
     res.send(loadTemplate('survey', {
-      title: survey.fields.Name || 'Customer Survey',
-      description: survey.fields.description || '',
+      ...localePageData(locale, branding),
+      title,
+      description,
       ticket_context: ticketContext,
       questions: questionsHtml,
       token
-    }));
+    }, branding));
 
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -637,6 +1690,54 @@ app.get('/survey/:token', async (req, res) => {
   }
 });
 
+// Reminder opt-out link from survey emails. Opening it only asks for confirmation, since mail scanners
+// fetch links; the opt-out is recorded on POST, which is also what mail clients' one-click unsubscribe sends.
+async function stopReminders(req, res) {
+  const confirmed = req.method === 'POST';
+
+  try {
+    validateToken(req.params.token);
+  } catch (error) {
+    return res.status(400).send(renderErrorPage(requestLocale(req), 'invalid_token'));
+  }
+
+  try {
+    const surveyResponse = await teable.getRecord('survey_responses', {
+      filterByFormula: `AND({token} = "${req.params.token}", {token} != "")`
+    });
+    if (!surveyResponse) {
+      return res.status(404).send(renderErrorPage(requestLocale(req), 'not_found'));
+    }
+
+    if (confirmed && !surveyResponse.fields.reminders_opt_out) {
+      await teable.updateRecord('survey_responses', surveyResponse.id, { reminders_opt_out: true });
+      metricsCollector.counter('survey_reminder_opt_outs', 1);
+      logger.info('Customer opted out of survey reminders', { recordId: surveyResponse.id });
+    }
+
+    const locale = requestLocale(req, surveyResponse.fields.locale);
+    const branding = await brandingService.resolve({
+      brand: surveyResponse.fields.brand,
+      companyName: surveyResponse.fields.company_name
+    });
+    if (confirmed || surveyResponse.fields.reminders_opt_out) {
+      return res.send(renderSuccessPage(locale, t(locale, 'reminders_stopped'), branding));
+    }
+    res.send(loadTemplate('stop-reminders', {
+      lang: locale,
+      page_title: t(locale, 'stop_reminders_title'),
+      message: t(locale, 'stop_reminders_confirm'),
+      button_label: t(locale, 'stop_reminders_button')
+    }, branding));
+  } catch (error) {
+    logger.error('Reminder opt-out error', { error: error.message });
+    sendErrorResponse(res, error, 500);
+  }
+}
+
+app.get('/survey/:token/stop-reminders', stopReminders);
+app.post('/survey/:token/stop-reminders', stopReminders);
+
 // Submit survey
 app.post('/survey/:token/submit', async (req, res) => {
   const startTime = Date.now();
@@ -647,7 +1748,7 @@ app.post('/survey/:token/submit', async (req, res) => {
 
     logger.info('Submitting survey', { token, responseCount: Object.keys(responses).length });
 
-    if (token === 'test') {
+    if (token === 'test' || token === 'preview') {
       metricsCollector.counter('test_surveys_submitted', 1);
       logger.info('Test survey submitted', { responses });
       return res.json({ success: true, message: 'Test survey submitted successfully' });
@@ -687,39 +1788,37 @@ app.post('/survey/:token/submit', async (req, res) => {
       const expiryDate = new Date(surveyResponse.fields.expires_at);
       if (expiryDate < new Date()) {
         metricsCollector.counter('expired_survey_submissions', 1);
+        markExpired(surveyResponse);
         return res.status(410).json({ error: 'Survey has expired', code: 'SURVEY_EXPIRED' });
       }
     }
 
-    const sanitizedResponses = {};
-    for (const [key, value] of Object.entries(responses)) {
-      if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key)) {
-        continue;
-      }
-      
-      if (typeof value === 'string') {
-        sanitizedResponses[key] = sanitizeString(value, 1000);
-      } else if (typeof value === 'number' && !isNaN(value)) {
-        sanitizedResponses[key] = value;
-      }
+    const activeSurvey = await loadSurveyForResponse(surveyResponse.fields);
+    const questions = activeSurvey ? activeSurvey.questions : FALLBACK_QUESTIONS;
+    const { answers, errors } = validateSubmission(questions, responses);
+
+    if (errors.length > 0) {
+      logger.warn('Survey submission failed validation', { token, errors });
+      metricsCollector.counter('invalid_submissions', 1);
+      return res.status(422).json({
+        error: 'Survey submission is invalid',
+        code: 'VALIDATION_FAILED',
+        errors
+      });
     }
 
-    const ratingValues = Object.entries(sanitizedResponses)
-      .filter(([key, value]) => !isNaN(value))
-      .map(([key, value]) => parseInt(value));
-    
-    const overallRating = ratingValues.length > 0 
-      ? Math.round(ratingValues.reduce((a, b) => a + b, 0) / ratingValues.length)
-      : null;
+    const overallRating = computeOverallRating(questions, answers);
 
-    await teable.updateRecord('survey_responses', surveyResponse.id, {
+    const completed = {
       Name: `Survey Response - ${surveyResponse.fields.ticket_external_id || 'Unknown'}`,
       status: 'completed',
-      responses: JSON.stringify(sanitizedResponses),
+      responses: JSON.stringify(answers),
       overall_rating: overallRating,
-      comments: sanitizedResponses.additional_comments || '',
-      submitted_at: new Date().toISOString()
-    });
+      comments: answers.additional_comments || '',
+      submitted_at: new Date().toISOString(),
+      ...writeBack.queueFields(surveyResponse.fields)
+    };
+    await teable.updateRecord('survey_responses', surveyResponse.id, completed);
 
     const duration = Date.now() - startTime;
     metricsCollector.histogram('survey_submit_duration_ms', duration);
@@ -732,6 +1831,19 @@ app.post('/survey/:token/submit', async (req, res) => {
     logger.info('Survey submitted successfully', { token, overallRating, duration });
     res.json({ success: true, code: 'SURVEY_SUBMITTED' });
 
+    outboundWebhooks.emit('survey.completed', surveyResponse.id, { ...surveyResponse.fields, ...completed });
+
+    // Post the result to the PSA ticket after responding; failures are retried by the write-back sweep
+    if (completed.writeback_status) {
+      writeBack.deliver({ id: surveyResponse.id, fields: { ...surveyResponse.fields, ...completed } });
+    }
+
+    openFollowUp(surveyResponse.id, { ...surveyResponse.fields, ...completed });
+
+    alertService.evaluate(surveyResponse.id, { ...surveyResponse.fields, ...completed }).catch(error => {
+      logger.error('Alert evaluation failed', { recordId: surveyResponse.id, error: error.message });
+    });
+
   } catch (error) {
     const duration = Date.now() - startTime;
     metricsCollector.histogram('survey_submit_duration_ms', duration, { status: 'error' });
@@ -740,18 +1852,292 @@ app.post('/survey/:token/submit', async (req, res) => {
   }
 });
 
+// Create the survey for a ticket, or return the one it already has: { action, reason, record }
+async function findOrCreateSurvey(ticket, source, fields = {}) {
+  const validated = validateWebhookTicket(ticket);
+
+  const reusable = await findReusableSurvey(validated.ticket_id, validated.customer_email, validated.completion_date);
+  if (reusable) {
+    metricsCollector.counter('surveys_reused', 1, { reason: reusable.reason, source });
+    return { action: 'existing', reason: reusable.reason, record: reusable.record };
+  }
+
+  const activeSurvey = await selectSurveyForTicket(validated);
+  if (!activeSurvey) {
+    throw webhookError('No active survey matches this ticket', 'NO_SURVEY', 422);
+  }
+
+  const record = await createSurveyRecord(validated, activeSurvey, { locale: DEFAULT_LOCALE, psa_source: source, ...fields });
+  metricsCollector.counter('surveys_created', 1, { source });
+  logger.info('Survey created for ticket', { source, ticket_id: validated.ticket_id, surveyId: activeSurvey.survey.id });
+
+  return { action: 'created', record };
+}
+
+// Create the survey for a resolved ticket reported by a PSA webhook, or return the one it already has
+async function createSurveyFromWebhook(ticket, source) {
+  const { action, record } = await findOrCreateSurvey(ticket, source);
+  return { action, survey_url: surveyUrl(record.fields.token) };
+}
+
+// Statuses that mean a Syncro ticket is resolved and should be surveyed
+function syncroResolvedStatuses() {
+  return (process.env.SYNCRO_RESOLVED_STATUSES || 'Resolved')
+    .split(',')
+    .map(status => status.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// The webhook payload is only trusted to name the ticket; when the Syncro API is configured,
+// the ticket is read back from Syncro so a forged payload cannot create surveys
+async function loadSyncroTicket(payload) {
+  const ticket = ticketFromPayload(payload);
+  if (!ticket || ticket.id === undefined) {
+    throw webhookError('Payload does not contain a ticket id', 'INVALID_PAYLOAD', 400);
+  }
+
+  if (!syncro.isConfigured()) {
+    logger.warn('SYNCRO_API_KEY not configured, using webhook payload without verification', { ticketId: ticket.id });
+    return ticket;
+  }
+
+  try {
+    return await syncro.getTicket(ticket.id);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw webhookError(`Ticket ${ticket.id} does not exist in SyncroMSP`, 'UNKNOWN_TICKET', 422);
+    }
+    throw webhookError(`Unable to verify ticket with SyncroMSP: ${error.message}`, 'PSA_UNAVAILABLE', 502);
+  }
+}
+
+// Shared handling for PSA webhooks: log the delivery, skip repeats of a delivery that was
+// already processed, then run `process` and record the outcome
+async function handleWebhook(req, res, source, { eventType, deliveryId, process }) {
+  const payload = req.body || {};
+  let logId = null;
+  let claimed = false;
+
+  metricsCollector.counter('webhooks_received', 1, { source });
+
+  try {
+    if (deliveryId) {
+      claimed = await webhookLog.claim(source, deliveryId);
+      if (!claimed) {
+        metricsCollector.counter('webhooks_duplicate', 1, { source });
+        logger.info('Ignoring repeated webhook delivery', { source, eventType, deliveryId });
+        return res.json({ received: true, action: 'duplicate', timestamp: new Date().toISOString() });
+      }
+    }
+
+    logId = await webhookLog.record(source, eventType, payload, deliveryId);
+    const result = await process(payload);
+
+    await webhookLog.complete(logId);
+    metricsCollector.counter('webhooks_processed', 1, { source, action: result.action });
+    logger.info('Processed webhook', { source, eventType, deliveryId, action: result.action });
+
+    res.json({ received: true, ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    await webhookLog.complete(logId, error);
+    metricsCollector.counter('webhooks_failed', 1, { source, error_type: error.code || 'UNKNOWN' });
+    logger.error('Webhook error', { source, eventType, deliveryId, error: error.message });
+    sendErrorResponse(res, error, errorStatus(error));
+  } finally {
+    if (claimed) webhookLog.release(source, deliveryId);
+  }
+}
+
 // SyncroMSP webhook
-app.post('/webhook/syncro', async (req, res) => {
+app.post('/webhook/syncro', requireWebhookKey, (req, res) => handleWebhook(req, res, 'syncro', {
+  eventType: String(req.body?.event || req.body?.type || 'ticket_updated').substring(0, 100),
+  process: async payload => {
+    const ticket = mapSyncroTicket(await loadSyncroTicket(payload));
+    if (!syncroResolvedStatuses().includes(ticket.status.toLowerCase())) {
+      return { action: 'ignored', reason: `Ticket status is '${ticket.status}'` };
+    }
+    return createSurveyFromWebhook(ticket, 'syncro');
+  }
+}));
+
+// ConnectWise Manage ticket callback
+app.post('/webhook/connectwise', requireWebhookKey, (req, res) => {
+  const payload = req.body || {};
+  const ticket = ticketFromCallback(payload);
+
+  return handleWebhook(req, res, 'connectwise', {
+    eventType: `${payload.Type || 'ticket'}_${payload.Action || 'updated'}`.substring(0, 100),
+    deliveryId: callbackDeliveryId(payload, ticket),
+    process: async () => {
+      if (String(payload.Type || 'ticket').toLowerCase() !== 'ticket') {
+        return { action: 'ignored', reason: `Callback type is '${payload.Type}'` };
+      }
+      if (String(payload.Action).toLowerCase() === 'deleted') {
+        return { action: 'ignored', reason: 'Ticket was deleted' };
+      }
+      if (!ticket || ticket.id === undefined) {
+        throw webhookError('Callback does not contain the ticket entity', 'INVALID_PAYLOAD', 400);
+      }
+      if (!isClosedTicket(ticket)) {
+        return { action: 'ignored', reason: `Ticket status is '${ticket.status?.name || 'unknown'}'` };
+      }
+      return createSurveyFromWebhook(mapConnectWiseTicket(ticket), 'connectwise');
+    }
+  });
+});
+
+// Autotask ticket statuses (picklist values) that should be surveyed; 5 is Complete
+function autotaskCompleteStatuses() {
+  return (process.env.AUTOTASK_COMPLETE_STATUSES || '5')
+    .split(',')
+    .map(status => status.trim())
+    .filter(Boolean);
+}
+
+// Autotask webhooks only carry IDs, so the ticket's contact, resource and company come from the API;
+// reading the ticket back also means a forged payload cannot create surveys
+async function loadAutotaskTicket(ticketId) {
+  if (!autotask.isConfigured()) {
+    throw webhookError('Autotask API credentials are not configured', 'PSA_NOT_CONFIGURED', 503);
+  }
+
+  let details;
   try {
-    logger.info('Received SyncroMSP webhook', { body: req.body });
-    metricsCollector.counter('webhooks_received', 1, { source: 'syncro' });
-    res.json({ received: true, timestamp: new Date().toISOString() });
+    details = await autotask.getTicketDetails(ticketId);
   } catch (error) {
-    logger.error('Webhook error', { error: error.message });
-    sendErrorResponse(res, error, 500);
+    if (error.response?.status !== 404) {
+      throw webhookError(`Unable to load ticket from Autotask: ${error.message}`, 'PSA_UNAVAILABLE', 502);
+    }
+  }
+  if (!details) {
+    throw webhookError(`Ticket ${ticketId} does not exist in Autotask`, 'UNKNOWN_TICKET', 422);
+  }
+  return details;
+}
+
+// Autotask ticket webhook
+app.post('/webhook/autotask', requireWebhookKey, (req, res) => {
+  const payload = req.body || {};
+
+  return handleWebhook(req, res, 'autotask', {
+    eventType: `${payload.EntityType || 'Ticket'}_${payload.Action || 'Update'}`.substring(0, 100),
+    deliveryId: webhookDeliveryId(payload),
+    process: async () => {
+      if (String(payload.Action).toLowerCase() === 'delete') {
+        return { action: 'ignored', reason: 'Ticket was deleted' };
+      }
+      const fields = ticketFromWebhook(payload);
+      if (!fields) {
+        throw webhookError('Payload is not a ticket webhook', 'INVALID_PAYLOAD', 400);
+      }
+
+      // Most updates are not completions; skip the API lookups when the payload already says so
+      const reportedStatus = mapAutotaskTicket(fields).status;
+      if (reportedStatus && !autotaskCompleteStatuses().includes(reportedStatus)) {
+        return { action: 'ignored', reason: `Ticket status is '${reportedStatus}'` };
+      }
+
+      const { ticket, ...related } = await loadAutotaskTicket(fields.id);
+      const mapped = mapAutotaskTicket(ticket, related);
+      if (!autotaskCompleteStatuses().includes(mapped.status)) {
+        return { action: 'ignored', reason: `Ticket status is '${mapped.status}'` };
+      }
+      return createSurveyFromWebhook(mapped, 'autotask');
+    }
+  });
+});
+
+// Webhook from any other PSA or tool, mapped by the system_config mapping named in the URL
+app.post('/webhook/generic/:name', requireWebhookKey, async (req, res) => {
+  let mapping;
+  try {
+    mapping = await webhookMappings.get(validateMappingName(req.params.name));
+  } catch (error) {
+    logger.warn('Webhook for unusable mapping', { name: req.params.name, error: error.message });
+    return sendErrorResponse(res, error, errorStatus(error));
+  }
+
+  const mapped = applyMapping(mapping, req.body || {});
+
+  return handleWebhook(req, res, req.params.name, {
+    eventType: (mapped.event_type || 'webhook').substring(0, 100),
+    deliveryId: mapped.delivery_id.substring(0, 255),
+    process: async () => {
+      if (!mapped.closure) {
+        const failed = mapped.conditions.filter(condition => !condition.matched).map(condition => condition.path);
+        return { action: 'ignored', reason: `Not a closure event (${failed.join(', ')} did not match)` };
+      }
+      return createSurveyFromWebhook(mapped.fields, req.params.name);
+    }
+  });
+});
+
+// Webhook mappings (admin)
+app.get('/api/webhook-mappings', requireAdmin, async (req, res) => {
+  try {
+    res.json({ mappings: await webhookMappings.list() });
+  } catch (error) {
+    logger.error('Webhook mapping list error', { error: error.message });
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.get('/api/webhook-mappings/:name', requireAdmin, async (req, res) => {
+  try {
+    const name = validateMappingName(req.params.name);
+    res.json({ name, mapping: await webhookMappings.get(name) });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+});
+
+app.put('/api/webhook-mappings/:name', requireAdmin, async (req, res) => {
+  try {
+    const name = validateMappingName(req.params.name);
+    const mapping = await webhookMappings.save(name, req.body);
+    res.json({ name, mapping, url: `/webhook/generic/${name}` });
+  } catch (error) {
+    logger.error('Webhook mapping save error', { name: req.params.name, error: error.message });
+    sendErrorResponse(res, error, errorStatus(error));
   }
 });
 
+// Dry run: show what a mapping extracts from a sample payload without creating anything.
+// Body is { payload, mapping }; without `mapping` the saved mapping named in the URL is used.
+async function dryRunMapping(req, res) {
+  try {
+    const body = req.body || {};
+    const mapping = body.mapping
+      ? validateMapping(body.mapping)
+      : await webhookMappings.get(validateMappingName(req.params.name));
+    const mapped = applyMapping(mapping, body.payload || {});
+
+    let ticket = null;
+    let error = null;
+    try {
+      ticket = validateWebhookTicket(mapped.fields);
+    } catch (validationError) {
+      error = validationError.message;
+    }
+
+    const survey = ticket && mapped.closure ? await selectSurveyForTicket(ticket) : null;
+
+    res.json({
+      dry_run: true,
+      ...mapped,
+      valid: !error,
+      error,
+      survey: survey ? { id: survey.survey.id, name: survey.survey.fields.Name } : null,
+      action: !mapped.closure ? 'would_ignore' : (error || !survey ? 'would_fail' : 'would_create')
+    });
+  } catch (error) {
+    sendErrorResponse(res, error, errorStatus(error));
+  }
+}
+
+app.post('/api/webhook-mappings/test', requireAdmin, dryRunMapping);
+app.post('/api/webhook-mappings/:name/test', requireAdmin, dryRunMapping);
+
 // 404 handler
 app.use('*', (req, res) => {
   logger.warn('404 Not Found', { url: req.originalUrl, method: req.method, ip: req.ip });
@@ -770,7 +2156,7 @@ app.use((err, req, res, next) => {
   logger.error('Unhandled error', { 
     error: err.message, 
     stack: err.stack,
-    url: req.url,
+    url: redactUrl(req.url),
     method: req.method
   });
   sendErrorResponse(res, err, err.status || 500);
@@ -807,6 +2193,14 @@ if (process.env.ENABLE_MONITORING !== 'false') {
   });
 }
 
+writeBack.start();
+expirySweep.start();
+outboundWebhooks.start();
+alertService.start();
+followUps.start();
+mailer.start();
+reminders.start();
+
 app.listen(PORT, () => {
   logger.info('OpenCSAT server starting', {
     port: PORT,
@@ -0,0 +1,125 @@
+// signing.js - HMAC signing and verification for survey creation links
+const crypto = require('crypto');
+
+class LinkSigner {
+  constructor(options = {}) {
+    this.keys = options.keys || LinkSigner.parseKeys(process.env.SURVEY_SIGNING_KEYS);
+    // SURVEY_SIGNING_KEY_PSA format: "keyId:psa,keyId:psa" - the PSA whose tickets a key's links belong to
+    this.keyPsa = options.keyPsa || LinkSigner.parseKeys(process.env.SURVEY_SIGNING_KEY_PSA);
+    this.allowUnsigned = options.allowUnsigned !== undefined
+      ? options.allowUnsigned
+      : process.env.ALLOW_UNSIGNED_SURVEY_LINKS !== 'false';
+    this.maxAgeSeconds = options.maxAgeSeconds
+      || (parseInt(process.env.SURVEY_LINK_MAX_AGE_DAYS) || 30) * 24 * 60 * 60;
+    this.clockSkewSeconds = options.clockSkewSeconds || 300;
+  }
+
+  // SURVEY_SIGNING_KEYS format: "keyId:secret,keyId:secret"
+  // Use one key ID per PSA integration; rotate by adding a new key ID,
+  // updating the templates, then removing the old one.
+  static parseKeys(value) {
+    const keys = new Map();
+    if (!value) return keys;
+
+    value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator < 1 || separator === entry.length - 1) {
+        throw new Error(`Invalid signing key entry '${entry.split(':')[0]}'`);
+      }
+      keys.set(entry.slice(0, separator), entry.slice(separator + 1));
+    });
+
+    return keys;
+  }
+
+  static generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  // The PSA a verified link's ticket lives in: the signed `psa` parameter, else the one configured for its key.
+  // Unsigned links have none, since anyone could point them at any ticket.
+  psaFor(params, signature) {
+    if (!signature.signed) return '';
+    return String(params.psa || this.keyPsa.get(signature.keyId) || '').trim().toLowerCase();
+  }
+
+  // Every query parameter except the signature itself is covered, sorted by name. Names and values are
+  // percent-encoded so `&` and `=` inside a value cannot pass for a separator; a repeated parameter
+  // appears once per value, in order.
+  canonicalize(params) {
+    return Object.keys(params)
+      .filter(key => key !== 'sig' && params[key] !== undefined)
+      .sort()
+      .flatMap(key => [].concat(params[key]).map(value => `${encodeComponent(key)}=${encodeComponent(value)}`))
+      .join('&');
+  }
+
+  computeSignature(params, secret) {
+    return crypto.createHmac('sha256', secret).update(this.canonicalize(params)).digest('hex');
+  }
+
+  sign(params, keyId) {
+    const secret = this.keys.get(keyId);
+    if (!secret) {
+      throw new Error(`Unknown signing key '${keyId}'`);
+    }
+
+    const signed = { ...params, kid: keyId, ts: Math.floor(Date.now() / 1000).toString() };
+    signed.sig = this.computeSignature(signed, secret);
+    return signed;
+  }
+
+  // Returns { signed, keyId } or throws an error with code INVALID_SIGNATURE
+  verify(params) {
+    if (!params.sig) {
+      if (this.allowUnsigned) {
+        return { signed: false, keyId: null };
+      }
+      throw signatureError('Survey link signature is required');
+    }
+
+    const keyId = params.kid;
+    const secret = keyId && this.keys.get(keyId);
+    if (!secret) {
+      throw signatureError('Unknown survey link signing key');
+    }
+
+    const timestamp = parseInt(params.ts);
+    if (!timestamp) {
+      throw signatureError('Survey link timestamp is missing or invalid');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (timestamp > now + this.clockSkewSeconds) {
+      throw signatureError('Survey link timestamp is in the future');
+    }
+    if (now - timestamp > this.maxAgeSeconds) {
+      throw signatureError('Survey link has expired');
+    }
+
+    const expected = Buffer.from(this.computeSignature(params, secret), 'hex');
+    const provided = Buffer.from(String(params.sig), 'hex');
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw signatureError('Survey link signature does not match');
+    }
+
+    return { signed: true, keyId };
+  }
+}
+
+// RFC 3986 percent-encoding: only A-Z a-z 0-9 - . _ ~ are left as they are
+function encodeComponent(value) {
+  return encodeURIComponent(String(value))
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function signatureError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SIGNATURE';
+  error.status = 403;
+  return error;
+}
+
+module.exports = {
+  LinkSigner
+};
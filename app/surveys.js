@@ -0,0 +1,307 @@
+// surveys.js - Versioned survey definitions: drafts, immutable published versions and validation
+const { validateQuestions } = require('./questions');
+const { parseRules } = require('./routing');
+const { SUPPORTED_LOCALES } = require('./i18n');
+const { escapeFormulaValue } = require('./formula');
+
+function surveyError(message, code, status, errors) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// Check a definition body: { name, description, questions, translations }
+function validateDefinition(body = {}) {
+  const errors = [];
+
+  if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+    errors.push({ path: 'name', message: 'Must be 1-100 characters' });
+  }
+  if (body.description !== undefined && typeof body.description !== 'string') {
+    errors.push({ path: 'description', message: 'Must be text' });
+  }
+
+  errors.push(...validateQuestions(body.questions));
+
+  if (body.translations !== undefined) {
+    if (!body.translations || typeof body.translations !== 'object' || Array.isArray(body.translations)) {
+      errors.push({ path: 'translations', message: 'Must be an object keyed by locale' });
+    } else {
+      for (const [locale, text] of Object.entries(body.translations)) {
+        if (!SUPPORTED_LOCALES.includes(locale)) {
+          errors.push({ path: `translations.${locale}`, message: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+        } else if (!text || typeof text !== 'object' ||
+          Object.entries(text).some(([key, value]) => !['title', 'description'].includes(key) || typeof value !== 'string')) {
+          errors.push({ path: `translations.${locale}`, message: 'Must be { "title": "...", "description": "..." }' });
+        }
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw surveyError('Survey definition is invalid', 'INVALID_SURVEY_DEFINITION', 422, errors);
+  }
+
+  return {
+    name: body.name.trim(),
+    description: body.description || '',
+    questions: body.questions,
+    translations: body.translations || {}
+  };
+}
+
+// Settings that are not versioned: which tickets the survey is used for
+function validateSettings(body = {}) {
+  const settings = {};
+  const errors = [];
+
+  if (body.routing_rules !== undefined) {
+    try {
+      const rules = parseRules(body.routing_rules);
+      settings.routing_rules = rules ? JSON.stringify(rules) : '';
+    } catch (error) {
+      errors.push({ path: 'routing_rules', message: error.message });
+    }
+  }
+  if (body.rule_order !== undefined) {
+    if (body.rule_order !== null && !Number.isInteger(body.rule_order)) {
+      errors.push({ path: 'rule_order', message: 'Must be a whole number or null' });
+    } else {
+      settings.rule_order = body.rule_order;
+    }
+  }
+  if (body.is_active !== undefined) {
+    if (typeof body.is_active !== 'boolean') {
+      errors.push({ path: 'is_active', message: 'Must be true or false' });
+    } else {
+      settings.is_active = body.is_active;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw surveyError('Survey settings are invalid', 'INVALID_SURVEY_SETTINGS', 422, errors);
+  }
+  return settings;
+}
+
+function toVersion(record) {
+  const fields = record.fields || {};
+  return {
+    id: record.id,
+    version: fields.version,
+    status: fields.status,
+    name: fields.title || '',
+    description: fields.description || '',
+    questions: parseJson(fields.questions, []),
+    translations: parseJson(fields.translations, {}),
+    published_at: fields.published_at || null,
+    created_at: fields.created_at || null
+  };
+}
+
+function toSurvey(record) {
+  const fields = record.fields || {};
+  return {
+    id: record.id,
+    name: fields.Name || '',
+    description: fields.description || '',
+    is_active: !!fields.is_active,
+    current_version: fields.current_version || null,
+    routing_rules: parseJson(fields.routing_rules, null),
+    rule_order: fields.rule_order ?? null
+  };
+}
+
+class SurveyDefinitions {
+  constructor(options = {}) {
+    this.teable = options.teable;
+    this.logger = options.logger;
+    // Published versions never change, so they can be cached for good
+    this.publishedCache = new Map();
+  }
+
+  async getSurveyRecord(surveyId) {
+    try {
+      return await this.teable.getRecordById('surveys', surveyId);
+    } catch (error) {
+      if (error.status === 404 || error.status === 400) {
+        throw surveyError('Survey not found', 'SURVEY_NOT_FOUND', 404);
+      }
+      throw error;
+    }
+  }
+
+  async listSurveys() {
+    const records = await this.teable.getAllRecords('surveys');
+    return records.map(toSurvey);
+  }
+
+  async listVersions(surveyId) {
+    const records = await this.teable.getAllRecords('survey_versions', {
+      filterByFormula: `{survey_id} = "${escapeFormulaValue(surveyId)}"`
+    });
+    return records.map(toVersion).sort((a, b) => a.version - b.version);
+  }
+
+  async getSurvey(surveyId) {
+    const survey = toSurvey(await this.getSurveyRecord(surveyId));
+    const versions = await this.listVersions(surveyId);
+    return {
+      ...survey,
+      versions: versions.map(({ id, version, status, published_at, created_at }) => ({ id, version, status, published_at, created_at }))
+    };
+  }
+
+  // `version` is a version number or "draft"
+  async getVersion(surveyId, version) {
+    const cacheKey = `${surveyId}:${version}`;
+    if (this.publishedCache.has(cacheKey)) {
+      return this.publishedCache.get(cacheKey);
+    }
+
+    const versions = await this.listVersions(surveyId);
+    const found = version === 'draft'
+      ? versions.find(v => v.status === 'draft')
+      : versions.find(v => v.version === Number(version));
+    if (!found) {
+      throw surveyError(`Survey version ${version} not found`, 'VERSION_NOT_FOUND', 404);
+    }
+
+    if (found.status === 'published') {
+      this.publishedCache.set(`${surveyId}:${found.version}`, found);
+    }
+    return found;
+  }
+
+  // New surveys start inactive with a draft as version 1
+  async create(body) {
+    const definition = validateDefinition(body);
+    const settings = validateSettings({ ...body, is_active: undefined });
+
+    const result = await this.teable.createRecord('surveys', {
+      Name: definition.name,
+      description: definition.description,
+      is_active: false,
+      ...settings
+    });
+    const surveyId = result.records[0].id;
+
+    await this.createVersion(surveyId, 1, definition);
+    this.logger.info('Survey created', { surveyId, name: definition.name });
+
+    return this.getSurvey(surveyId);
+  }
+
+  async createVersion(surveyId, version, definition) {
+    return this.teable.createRecord('survey_versions', {
+      Name: `${definition.name} v${version}`,
+      survey_id: surveyId,
+      version,
+      status: 'draft',
+      title: definition.name,
+      description: definition.description,
+      questions: JSON.stringify(definition.questions),
+      translations: JSON.stringify(definition.translations)
+    });
+  }
+
+  // Replace the survey's draft, or start a new one after the latest version
+  async saveDraft(surveyId, body) {
+    const definition = validateDefinition(body);
+    await this.getSurveyRecord(surveyId);
+
+    const versions = await this.listVersions(surveyId);
+    const draft = versions.find(v => v.status === 'draft');
+
+    if (draft) {
+      await this.teable.updateRecord('survey_versions', draft.id, {
+        Name: `${definition.name} v${draft.version}`,
+        title: definition.name,
+        description: definition.description,
+        questions: JSON.stringify(definition.questions),
+        translations: JSON.stringify(definition.translations)
+      });
+    } else {
+      const next = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+      await this.createVersion(surveyId, next, definition);
+    }
+
+    return this.getVersion(surveyId, 'draft');
+  }
+
+  // Publish the draft: it becomes read-only and is copied onto the survey record that serves new surveys.
+  // The first publish activates the survey; later ones keep is_active as it is, so a deactivated survey stays out of routing.
+  async publish(surveyId) {
+    const record = await this.getSurveyRecord(surveyId);
+    const versions = await this.listVersions(surveyId);
+    const draft = versions.find(v => v.status === 'draft');
+    if (!draft) {
+      throw surveyError('There is no draft to publish', 'NO_DRAFT', 409);
+    }
+
+    const publishedAt = new Date().toISOString();
+    await this.teable.updateRecord('survey_versions', draft.id, {
+      status: 'published',
+      published_at: publishedAt
+    });
+    await this.teable.updateRecord('surveys', surveyId, {
+      Name: draft.name,
+      description: draft.description,
+      questions: JSON.stringify(draft.questions),
+      translations: JSON.stringify(draft.translations),
+      current_version: draft.version,
+      ...(!record.fields.current_version && { is_active: true })
+    });
+
+    this.logger.info('Survey version published', { surveyId, version: draft.version });
+    return { ...draft, status: 'published', published_at: publishedAt };
+  }
+
+  async updateSettings(surveyId, body) {
+    const settings = validateSettings(body);
+    const record = await this.getSurveyRecord(surveyId);
+
+    // Surveys created by hand in Teable have questions but no published version
+    if (settings.is_active && !record.fields.current_version && !record.fields.questions) {
+      throw surveyError('Publish a version before activating the survey', 'NOT_PUBLISHED', 409);
+    }
+
+    await this.teable.updateRecord('surveys', surveyId, settings);
+    return this.getSurvey(surveyId);
+  }
+
+  // The definition a response was answered against, in the shape parseSurvey() returns
+  async loadPublished(surveyId, version) {
+    const published = await this.getVersion(surveyId, version);
+    return {
+      survey: {
+        id: surveyId,
+        fields: {
+          Name: published.name,
+          description: published.description,
+          translations: JSON.stringify(published.translations)
+        }
+      },
+      questions: published.questions,
+      version: published.version
+    };
+  }
+}
+
+module.exports = {
+  validateDefinition,
+  validateSettings,
+  SurveyDefinitions
+};
@@ -0,0 +1,69 @@
+// templates.js - HTML rendering that escapes interpolated values by default
+const fs = require('fs');
+const path = require('path');
+
+const VIEWS_DIR = path.join(__dirname, 'views');
+
+// Marks a string as trusted HTML that must not be escaped again
+class SafeHtml {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Explicit opt-in for HTML fragments that come from trusted code, never from user input
+function raw(value) {
+  return value instanceof SafeHtml ? value : new SafeHtml(value);
+}
+
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value === undefined || value === null || value === false) return '';
+  return escapeHtml(value);
+}
+
+// Tagged template literal: html`<p>${userText}</p>` escapes userText, nested html`` fragments stay intact
+function html(strings, ...values) {
+  let result = strings[0];
+  values.forEach((value, i) => {
+    result += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(result);
+}
+
+// Embed a value as JSON inside a <script> block
+function json(value) {
+  return new SafeHtml(JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029'));
+}
+
+// Replace {{key}} placeholders in a view; values are escaped unless wrapped with raw()/html``
+function renderTemplate(name, data = {}) {
+  const template = fs.readFileSync(path.join(VIEWS_DIR, `${name}.html`), 'utf8');
+  return template.replace(/{{(\w+)}}/g, (match, key) => renderValue(data[key]));
+}
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  raw,
+  html,
+  json,
+  renderTemplate
+};
@@ -0,0 +1,61 @@
+// Follow-up cases brought up to date when the survey they were opened for is completed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FollowUps } = require('../followups');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+const metricsCollector = { counter() {} };
+
+function createFollowUps(fields, updates) {
+  return new FollowUps({
+    teable: {
+      getRecordById: async (table, id) => ({ id, fields }),
+      updateRecord: async (table, id, update) => updates.push({ table, id, update })
+    },
+    logger: silentLogger,
+    metricsCollector
+  });
+}
+
+const openCase = {
+  survey_response_id: 'rec1',
+  overall_rating: 1,
+  status: 'open',
+  notes: '[]',
+  due_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+};
+
+test('an untouched case is resolved when the final rating is no longer low', async () => {
+  const updates = [];
+  const followUp = await createFollowUps(openCase, updates)
+    .applyFinalRating('case1', { overall_rating: 5, comments: 'All good' }, { isLow: false });
+
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].update.status, 'resolved');
+  assert.equal(updates[0].update.overall_rating, 5);
+  assert.equal(updates[0].update.sla_breached, false);
+  assert.equal(followUp.notes.length, 1);
+  assert.match(followUp.notes[0].text, /rated 5/);
+});
+
+test('a case still rated low only gets the final rating and comment', async () => {
+  const updates = [];
+  await createFollowUps(openCase, updates)
+    .applyFinalRating('case1', { overall_rating: 2, comments: 'Slow' }, { isLow: true });
+
+  assert.deepEqual(updates[0].update, { overall_rating: 2, comments: 'Slow' });
+});
+
+test('a case someone is working on stays open', async () => {
+  const updates = [];
+  const contacted = { ...openCase, status: 'contacted', contacted_at: new Date().toISOString() };
+  await createFollowUps(contacted, updates)
+    .applyFinalRating('case1', { overall_rating: 5 }, { isLow: false });
+
+  const noted = { ...openCase, notes: JSON.stringify([{ at: new Date().toISOString(), text: 'Called' }]) };
+  await createFollowUps(noted, updates)
+    .applyFinalRating('case1', { overall_rating: 5 }, { isLow: false });
+
+  assert.equal(updates.length, 2);
+  assert.ok(updates.every(u => u.update.status === undefined));
+});
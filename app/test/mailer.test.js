@@ -0,0 +1,105 @@
+// Survey emails sent through scripts/smtp-catcher.js, with the real Mailer and nodemailer transport
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+const { createCatcher } = require('../../scripts/smtp-catcher');
+const { Mailer } = require('../mailer');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+const metricsCollector = { counter() {} };
+
+// Runs a catcher for one test; returns its port and the lines it printed
+async function withCatcher(options, run) {
+  const lines = [];
+  const server = createCatcher({ ...options, log: line => lines.push(line) });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await run(server.address().port, lines);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+// Teable tables kept in memory: { tableName: [record] }
+function memoryTeable(tables) {
+  let nextId = 1;
+  return {
+    tables,
+    getAllRecords: async table => tables[table] || [],
+    getRecord: async (table, { filterByFormula }) => {
+      const email = /{email} = "(.*)"/.exec(filterByFormula)?.[1];
+      return (tables[table] || []).find(r => r.fields.email === email) || null;
+    },
+    createRecord: async (table, fields) => {
+      const record = { id: `rec${nextId++}`, fields };
+      (tables[table] = tables[table] || []).push(record);
+      return { records: [record] };
+    },
+    updateRecord: async (table, id, fields) => {
+      const record = (tables[table] || []).find(r => r.id === id);
+      if (record) Object.assign(record.fields, fields);
+    }
+  };
+}
+
+function createMailer(port, teable) {
+  return new Mailer({
+    teable,
+    logger: silentLogger,
+    metricsCollector,
+    from: 'Support <support@example.com>',
+    transport: nodemailer.createTransport({ host: '127.0.0.1', port, secure: false, ignoreTLS: true })
+  });
+}
+
+const surveyResponse = email => ({
+  id: 'recSurvey',
+  fields: {
+    status: 'pending',
+    customer_email: email,
+    customer_name: 'Jane Smith',
+    ticket_external_id: '1093',
+    ticket_subject: 'Printer offline',
+    survey_url: 'https://csat.example.com/survey/abc'
+  }
+});
+
+const template = {
+  id: 'recTemplate',
+  fields: {
+    Name: 'plain',
+    subject: 'Ticket #{{ticket_id}}: how did we do?',
+    body: 'Hi {{customer_first_name}},\n\nRate us: {{survey_url}}',
+    is_active: true
+  }
+};
+
+test('send delivers the rendered template and records the invitation', () => withCatcher({}, async (port, lines) => {
+  const teable = memoryTeable({ email_templates: [template], survey_responses: [surveyResponse('jane@example.com')] });
+  const send = await createMailer(port, teable).send(surveyResponse('jane@example.com'));
+
+  assert.equal(send.status, 'sent');
+  const message = lines.join('\n');
+  assert.match(message, /Envelope to: jane@example\.com/);
+  assert.match(message, /Subject: Ticket #1093: how did we do\?/);
+  assert.match(message, /Hi Jane,/);
+  assert.match(message, /Rate us: https:\/\/csat\.example\.com\/survey\/abc/);
+  assert.match(message, /List-Unsubscribe: <https:\/\/csat\.example\.com\/survey\/abc\/stop-reminders>/);
+  assert.ok(teable.tables.survey_responses[0].fields.invitation_sent_at);
+}));
+
+test('a 5xx reply to RCPT TO marks the send bounced and suppresses the address', () => withCatcher({
+  reject: ['gone@example.com']
+}, async (port, lines) => {
+  const teable = memoryTeable({ email_templates: [template] });
+  const mailer = createMailer(port, teable);
+  const send = await mailer.send(surveyResponse('gone@example.com'));
+
+  assert.equal(send.status, 'bounced');
+  assert.equal(send.next_attempt_at, null);
+  assert.match(lines.join('\n'), /Rejected recipient gone@example\.com/);
+  assert.deepEqual(teable.tables.email_suppressions.map(r => r.fields.email), ['gone@example.com']);
+
+  const again = await mailer.send(surveyResponse('gone@example.com'));
+  assert.equal(again.status, 'suppressed');
+}));
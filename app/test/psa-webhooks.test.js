@@ -0,0 +1,88 @@
+// Recorded PSA webhook payloads from examples/webhooks, run through parsing, mapping and validation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ticketFromPayload, mapSyncroTicket } = require('../psa/syncro');
+const { ticketFromCallback, callbackDeliveryId, isClosedTicket, mapConnectWiseTicket } = require('../psa/connectwise');
+const { ticketFromWebhook, webhookDeliveryId, mapAutotaskTicket } = require('../psa/autotask');
+const { validateWebhookTicket } = require('../validation');
+
+function sample(name) {
+  return require(path.join(__dirname, '..', '..', 'examples', 'webhooks', name));
+}
+
+test('Syncro resolved ticket webhook maps to a valid ticket', () => {
+  const ticket = validateWebhookTicket(mapSyncroTicket(ticketFromPayload(sample('syncro-ticket-resolved.json'))));
+
+  assert.equal(ticket.ticket_id, '1093421');
+  assert.equal(ticket.ticket_number, '4387');
+  assert.equal(ticket.customer_email, 'jane.smith@contoso.com');
+  assert.equal(ticket.customer_name, 'Jane Smith');
+  assert.equal(ticket.technician_name, 'John Doe');
+  assert.equal(ticket.company_name, 'Contoso Ltd');
+  assert.equal(ticket.completion_date, '2025-03-14T16:42:10.000Z');
+  assert.equal(ticket.status, 'Resolved');
+});
+
+test('ConnectWise closed ticket callback maps to a valid ticket', () => {
+  const payload = sample('connectwise-ticket-closed.json');
+  const entity = ticketFromCallback(payload);
+
+  assert.equal(isClosedTicket(entity), true);
+  assert.equal(callbackDeliveryId(payload, entity), '5b1f3f62-9a1c-4e0a-bb7e-0c2d6a1e9f41');
+
+  const ticket = validateWebhookTicket(mapConnectWiseTicket(entity));
+  assert.equal(ticket.ticket_id, '48213');
+  assert.equal(ticket.customer_email, 'jane.smith@contoso.com');
+  assert.equal(ticket.customer_name, 'Jane Smith');
+  assert.equal(ticket.technician_name, 'John Doe');
+  assert.equal(ticket.company_name, 'Contoso Ltd');
+  assert.equal(ticket.category, 'Service Desk');
+  assert.equal(ticket.status, '>Closed');
+});
+
+test('ConnectWise callback without a MessageId falls back to the ticket update time', () => {
+  const { MessageId, ...payload } = sample('connectwise-ticket-closed.json');
+  assert.equal(callbackDeliveryId(payload, ticketFromCallback(payload)), '48213:2025-03-14T16:42:10Z');
+});
+
+test('Autotask ticket webhook maps to a valid ticket once the related records are loaded', () => {
+  const payload = sample('autotask-ticket-complete.json');
+  const fields = ticketFromWebhook(payload);
+
+  assert.equal(webhookDeliveryId(payload), '29674:7');
+  assert.equal(mapAutotaskTicket(fields).status, '5');
+
+  // The webhook only carries IDs; the REST API returns the ticket and its related records in camelCase
+  const ticket = validateWebhookTicket(mapAutotaskTicket(
+    { id: 29674, ticketNumber: 'T20250314.0012', title: 'New starter laptop setup', status: 5, priority: 2, completedDate: '2025-03-14T16:42:10.000Z' },
+    {
+      contact: { firstName: 'Jane', lastName: 'Smith', emailAddress: 'jane.smith@contoso.com' },
+      resource: { firstName: 'John', lastName: 'Doe' },
+      company: { companyName: 'Contoso Ltd' }
+    }
+  ));
+  assert.equal(ticket.ticket_id, 'T20250314.0012');
+  assert.equal(ticket.customer_email, 'jane.smith@contoso.com');
+  assert.equal(ticket.customer_name, 'Jane Smith');
+  assert.equal(ticket.technician_name, 'John Doe');
+  assert.equal(ticket.company_name, 'Contoso Ltd');
+  assert.equal(ticket.priority, 'Medium');
+});
+
+test('Autotask ticket number from the webhook fields is a valid ticket id', () => {
+  const fields = ticketFromWebhook(sample('autotask-ticket-complete.json'));
+  const mapped = mapAutotaskTicket(fields, { contact: { firstName: 'Jane', emailAddress: 'jane.smith@contoso.com' } });
+  assert.equal(validateWebhookTicket(mapped).ticket_id, 'T20250314.0012');
+});
+
+test('Non-ticket payloads are not parsed as tickets', () => {
+  assert.equal(ticketFromWebhook({ EntityType: 'Contact', Id: 1 }), null);
+  assert.equal(ticketFromCallback({ ID: 1 }), null);
+  assert.equal(ticketFromCallback({ Entity: 'not json' }), null);
+});
+
+test('Tickets without a customer email cannot be surveyed', () => {
+  const ticket = mapSyncroTicket({ ...ticketFromPayload(sample('syncro-ticket-resolved.json')), customer: {} });
+  assert.throws(() => validateWebhookTicket(ticket), { code: 'INVALID_TICKET', status: 422 });
+});
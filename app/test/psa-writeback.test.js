@@ -0,0 +1,129 @@
+// PSA write-back against scripts/psa-stub-server.js, with the real Syncro and ConnectWise clients
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStubServer } = require('../../scripts/psa-stub-server');
+const { SyncroClient } = require('../psa/syncro');
+const { ConnectWiseClient } = require('../psa/connectwise');
+const { WriteBack } = require('../psa/writeback');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+const metricsCollector = { counter() {} };
+
+// Runs a stub server for one test; returns its URL and the lines it logged
+async function withStub(options, run) {
+  const lines = [];
+  const server = createStubServer({ ...options, log: line => lines.push(line) });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`, lines);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function createWriteBack(baseUrl, updates) {
+  return new WriteBack({
+    teable: { updateRecord: async (table, id, fields) => updates.push({ table, id, fields }) },
+    logger: silentLogger,
+    metricsCollector,
+    enabled: 'syncro,connectwise',
+    connectors: {
+      syncro: new SyncroClient({ baseUrl: `${baseUrl}/syncro`, apiKey: 'stub' }),
+      connectwise: new ConnectWiseClient({
+        baseUrl: `${baseUrl}/connectwise`, companyId: 'stub', publicKey: 'stub', privateKey: 'stub', clientId: 'stub'
+      })
+    }
+  });
+}
+
+const response = (psa, extra = {}) => ({
+  id: 'rec1',
+  fields: {
+    psa_source: psa,
+    ticket_external_id: '1093421',
+    overall_rating: 2,
+    comments: 'Took three visits',
+    customer_name: 'Jane Smith',
+    submitted_at: '2025-03-15T09:00:00.000Z',
+    ...extra
+  }
+});
+
+test('Syncro write-back posts a hidden comment and is marked delivered', () => withStub({}, async (baseUrl, lines) => {
+  const updates = [];
+  await createWriteBack(baseUrl, updates).deliver(response('syncro'));
+
+  assert.match(lines[0], /POST \/syncro\/tickets\/1093421\/comment -> 200/);
+  const body = JSON.parse(lines[1]);
+  assert.equal(body.hidden, true);
+  assert.equal(body.do_not_email, true);
+  assert.match(body.body, /Rating: 2\nComments: Took three visits\nSubmitted by Jane Smith on 2025-03-15/);
+
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].fields.writeback_status, 'delivered');
+  assert.equal(updates[0].fields.writeback_attempts, 1);
+}));
+
+test('ConnectWise write-back posts an internal note', () => withStub({}, async (baseUrl, lines) => {
+  const updates = [];
+  await createWriteBack(baseUrl, updates).deliver(response('connectwise', { ticket_external_id: '48213' }));
+
+  assert.match(lines[0], /POST \/connectwise\/service\/tickets\/48213\/notes -> 201/);
+  assert.equal(JSON.parse(lines[1]).internalAnalysisFlag, true);
+  assert.equal(updates[0].fields.writeback_status, 'delivered');
+}));
+
+test('Temporary PSA errors are retried', () => withStub({ fail: 1, status: 503 }, async (baseUrl) => {
+  const updates = [];
+  const writeBack = createWriteBack(baseUrl, updates);
+
+  await writeBack.deliver(response('syncro'));
+  assert.equal(updates[0].fields.writeback_status, 'pending');
+  assert.equal(updates[0].fields.writeback_attempts, 1);
+  assert.match(updates[0].fields.writeback_error, /HTTP 503/);
+  assert.ok(new Date(updates[0].fields.writeback_next_at) > new Date());
+
+  await writeBack.deliver(response('syncro', { writeback_attempts: 1 }));
+  assert.equal(updates[1].fields.writeback_status, 'delivered');
+  assert.equal(updates[1].fields.writeback_attempts, 2);
+}));
+
+test('Errors the PSA would repeat fail without a retry', () => withStub({ fail: 1, status: 404 }, async (baseUrl) => {
+  const updates = [];
+  await createWriteBack(baseUrl, updates).deliver(response('syncro'));
+
+  assert.equal(updates[0].fields.writeback_status, 'failed');
+  assert.equal(updates[0].fields.writeback_next_at, null);
+}));
+
+test('Responses for a PSA that is not enabled are marked failed', async () => {
+  const updates = [];
+  await createWriteBack('http://127.0.0.1:9', updates).deliver(response('autotask'));
+
+  assert.equal(updates[0].fields.writeback_status, 'failed');
+  assert.match(updates[0].fields.writeback_error, /'autotask' is not enabled/);
+});
+
+test('Responses without a PSA are not queued for write-back', () => {
+  const writeBack = createWriteBack('http://127.0.0.1:9', []);
+  assert.deepEqual(writeBack.queueFields({ psa_source: '' }), {});
+  assert.equal(writeBack.queueFields({ psa_source: 'syncro' }).writeback_status, 'pending');
+});
+
+test('Pending write-backs are failed at startup when write-back is turned off', async () => {
+  const updates = [];
+  const writeBack = new WriteBack({
+    teable: {
+      getAllRecords: async () => [response('syncro', { writeback_status: 'pending' })],
+      updateRecord: async (table, id, fields) => updates.push({ table, id, fields })
+    },
+    logger: silentLogger,
+    metricsCollector,
+    enabled: ' '
+  });
+
+  await writeBack.abandonPending();
+  assert.equal(updates[0].fields.writeback_status, 'failed');
+  assert.match(updates[0].fields.writeback_error, /'syncro' is not enabled/);
+  assert.equal(writeBack.sweep.isRunning, false);
+});
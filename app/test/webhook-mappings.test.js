@@ -0,0 +1,94 @@
+// Generic webhook mappings: validation and dry runs against the recorded Zendesk sample
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { validateMapping, applyMapping } = require('../psa/generic');
+const { validateWebhookTicket } = require('../validation');
+
+function sample(name) {
+  return require(path.join(__dirname, '..', '..', 'examples', 'webhooks', name));
+}
+
+const zendeskMapping = () => validateMapping(sample('zendesk-mapping.json'));
+
+test('Zendesk sample mapping is valid, also as a JSON string', () => {
+  assert.doesNotThrow(zendeskMapping);
+  assert.doesNotThrow(() => validateMapping(JSON.stringify(sample('zendesk-mapping.json'))));
+});
+
+test('Zendesk solved ticket maps to a valid ticket', () => {
+  const result = applyMapping(zendeskMapping(), sample('zendesk-ticket-solved.json'));
+
+  assert.equal(result.closure, true);
+  assert.deepEqual(result.conditions, [{ path: '$.ticket.status', actual: 'Solved', matched: true }]);
+  assert.equal(result.delivery_id, '51877:2025-03-14T16:42:10Z');
+  assert.equal(result.event_type, 'ticket_Solved');
+
+  const ticket = validateWebhookTicket(result.fields);
+  assert.equal(ticket.ticket_id, '51877');
+  assert.equal(ticket.customer_email, 'jane.smith@contoso.com');
+  assert.equal(ticket.customer_name, 'Jane Smith');
+  assert.equal(ticket.technician_name, 'John Doe');
+  assert.equal(ticket.company_name, 'Contoso Ltd');
+  assert.equal(ticket.category, 'Network');
+});
+
+test('Tickets that are not closed do not match closed_when', () => {
+  const payload = sample('zendesk-ticket-solved.json');
+  const result = applyMapping(zendeskMapping(), { ticket: { ...payload.ticket, status: 'Open' } });
+
+  assert.equal(result.closure, false);
+  assert.deepEqual(result.conditions, [{ path: '$.ticket.status', actual: 'Open', matched: false }]);
+});
+
+test('Fallback expressions, templates, indexes and quoted keys', () => {
+  const mapping = validateMapping({
+    fields: {
+      ticket_id: '$.items[1].id',
+      customer_email: '$[\'contact email\']',
+      customer_name: ['$.contact.name', '{$.contact.first} {$.contact.last}'],
+      priority: 'Normal'
+    },
+    closed_when: {}
+  });
+  const result = applyMapping(mapping, {
+    items: [{ id: 1 }, { id: 2 }],
+    'contact email': 'jane@example.com',
+    contact: { first: 'Jane', last: 'Smith' }
+  });
+
+  assert.equal(result.closure, true);
+  assert.deepEqual(result.fields, {
+    ticket_id: '2',
+    customer_email: 'jane@example.com',
+    customer_name: 'Jane Smith',
+    priority: 'Normal'
+  });
+});
+
+test('Invalid mappings list every problem', () => {
+  assert.throws(() => validateMapping('{not json'), { code: 'INVALID_MAPPING', status: 422 });
+  assert.throws(() => validateMapping([]), { code: 'INVALID_MAPPING', status: 422 });
+
+  let error;
+  try {
+    validateMapping({
+      fields: { ticket_id: '$.id[', customer_name: 42, colour: '$.colour' },
+      closed_when: { status: 'closed', '$.tags': [{}] },
+      extra: true
+    });
+  } catch (e) {
+    error = e;
+  }
+
+  assert.equal(error.code, 'INVALID_MAPPING');
+  assert.deepEqual(error.errors.map(e => e.path).sort(), [
+    'closed_when.$.tags',
+    'closed_when.status',
+    'extra',
+    'fields.colour',
+    'fields.customer_email',
+    'fields.customer_name',
+    'fields.ticket_id'
+  ]);
+});
@@ -0,0 +1,90 @@
+// validation.js - Input validation for survey links, PSA tickets and Teable record ids
+const { webhookError } = require('./webhooks');
+
+function validateEmail(email) {
+  if (!email || typeof email !== 'string') {
+    throw new Error('Email is required and must be a string');
+  }
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    throw new Error('Invalid email format');
+  }
+  return email.trim().toLowerCase();
+}
+
+// Ticket numbers may contain dots, e.g. Autotask's T20250314.0012
+function validateTicketId(ticketId) {
+  if (!ticketId || typeof ticketId !== 'string') {
+    throw new Error('Ticket ID is required and must be a string');
+  }
+  if (!/^[a-zA-Z0-9\-_.]{1,50}$/.test(ticketId)) {
+    throw new Error('Invalid ticket ID format');
+  }
+  return ticketId.trim();
+}
+
+function validateName(name) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Name is required and must be a string');
+  }
+  if (name.trim().length < 1 || name.trim().length > 100) {
+    throw new Error('Name must be between 1 and 100 characters');
+  }
+  return name.trim();
+}
+
+function sanitizeString(str, maxLength = 255) {
+  if (!str) return '';
+  if (typeof str !== 'string') return String(str);
+  return str.trim().substring(0, maxLength);
+}
+
+function validateToken(token) {
+  if (!token || typeof token !== 'string') {
+    throw new Error('Token is required and must be a string');
+  }
+  if (!/^[a-f0-9]{64}$/.test(token)) {
+    throw new Error('Invalid token format');
+  }
+  return token;
+}
+
+// Check a ticket mapped from a PSA webhook before a survey is created for it
+function validateWebhookTicket(ticket) {
+  try {
+    return {
+      ...ticket,
+      ticket_id: validateTicketId(ticket.ticket_id),
+      customer_email: validateEmail(ticket.customer_email),
+      customer_name: validateName(ticket.customer_name),
+      ticket_subject: sanitizeString(ticket.ticket_subject, 255),
+      technician_name: sanitizeString(ticket.technician_name, 100),
+      company_name: sanitizeString(ticket.company_name, 100),
+      priority: sanitizeString(ticket.priority, 50),
+      category: sanitizeString(ticket.category, 100)
+    };
+  } catch (error) {
+    throw webhookError(`Ticket cannot be surveyed: ${error.message}`, 'INVALID_TICKET', 422);
+  }
+}
+
+// Teable record ids from URLs and request bodies, e.g. recAbc123
+function validateRecordId(id, label) {
+  if (!/^rec[a-zA-Z0-9]+$/.test(id)) {
+    const error = new Error(`Invalid ${label} id`);
+    error.code = 'INVALID_ID';
+    error.status = 400;
+    throw error;
+  }
+  return id;
+}
+
+module.exports = {
+  validateEmail,
+  validateTicketId,
+  validateName,
+  sanitizeString,
+  validateToken,
+  validateWebhookTicket,
+  validateRecordId
+};
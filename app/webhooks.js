@@ -0,0 +1,79 @@
+// webhooks.js - Delivery log for inbound PSA webhooks (webhook_logs table)
+const { escapeFormulaValue } = require('./formula');
+
+// Teable long text fields are not meant for unbounded payloads
+const MAX_PAYLOAD_LENGTH = 100000;
+
+function webhookError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+class WebhookLog {
+  constructor(options = {}) {
+    this.teable = options.teable;
+    this.logger = options.logger;
+    // Deliveries being processed right now, so a quick retry is not handled twice
+    this.inFlight = new Set();
+  }
+
+  // Returns false when a delivery with this id is being handled or was already processed
+  // (PSAs resend callbacks they did not see succeed). Call release() once it is handled.
+  async claim(source, deliveryId) {
+    const key = `${source}:${deliveryId}`;
+    if (this.inFlight.has(key)) return false;
+    this.inFlight.add(key);
+
+    try {
+      const records = await this.teable.getRecords('webhook_logs', {
+        filterByFormula: `AND({source} = "${escapeFormulaValue(source)}", {delivery_id} = "${escapeFormulaValue(deliveryId)}", {processed} = TRUE())`,
+        maxRecords: 1
+      });
+      if (records.length > 0) {
+        this.inFlight.delete(key);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      this.inFlight.delete(key);
+      throw error;
+    }
+  }
+
+  release(source, deliveryId) {
+    this.inFlight.delete(`${source}:${deliveryId}`);
+  }
+
+  // Store a delivery as soon as it arrives, before it is processed
+  async record(source, eventType, payload, deliveryId = '') {
+    const body = JSON.stringify(payload);
+    const result = await this.teable.createRecord('webhook_logs', {
+      Name: `${source} ${eventType}`,
+      source,
+      event_type: eventType,
+      delivery_id: deliveryId,
+      payload: body.length > MAX_PAYLOAD_LENGTH ? body.substring(0, MAX_PAYLOAD_LENGTH) : body,
+      processed: false
+    });
+    return result.records?.[0]?.id || null;
+  }
+
+  // Mark a delivery as handled, or store why it failed
+  async complete(logId, error = null) {
+    if (!logId) return;
+    try {
+      await this.teable.updateRecord('webhook_logs', logId, error
+        ? { processed: false, error_message: error.message }
+        : { processed: true, error_message: '' });
+    } catch (updateError) {
+      this.logger.warn('Unable to update webhook log', { logId, error: updateError.message });
+    }
+  }
+}
+
+module.exports = {
+  webhookError,
+  WebhookLog
+};
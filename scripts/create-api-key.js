@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+// Creates an API key in the api_keys table and prints it once; only its hash is stored.
+// Usage: TEABLE_API_TOKEN=... TEABLE_BASE_ID=... node create-api-key.js <admin|reporting|integration> "<name>"
+
+const TeableSetup = require('./setup-teable');
+const { ROLES, generateApiKey, hashApiKey } = require('../app/auth');
+
+async function main() {
+    const [role, name] = process.argv.slice(2);
+    if (!ROLES.includes(role) || !name) {
+        console.error(`Usage: node create-api-key.js <${ROLES.join('|')}> "<name>"`);
+        process.exit(1);
+    }
+
+    const setup = new TeableSetup();
+    if (!setup.config.apiToken || !setup.config.baseId) {
+        console.error('TEABLE_API_TOKEN and TEABLE_BASE_ID must be set');
+        process.exit(1);
+    }
+
+    const tables = await setup.makeRequest(`/base/${setup.config.baseId}/table`);
+    const table = tables.find(t => t.name === 'api_keys');
+    if (!table) {
+        console.error("Table 'api_keys' not found - run setup-teable.js first");
+        process.exit(1);
+    }
+
+    const key = generateApiKey();
+    await setup.makeRequest(`/table/${table.id}/record`, 'POST', {
+        records: [{
+            fields: {
+                Name: name,
+                role,
+                key_hash: hashApiKey(key),
+                key_prefix: key.substring(0, 12),
+                is_active: true
+            }
+        }]
+    });
+
+    console.log(`Created ${role} API key "${name}":`);
+    console.log(key);
+    console.log('Store it now - it cannot be shown again.');
+}
+
+main().catch(error => {
+    console.error('Failed to create API key:', error.message);
+    process.exit(1);
+});
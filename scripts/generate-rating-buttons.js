@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+// Generates a row of one-click score buttons for the PSA email templates in email-templates.txt.
+// Usage: node generate-rating-buttons.js <syncro|connectwise|autotask|kaseya> [--scale 5] [--base-url URL]
+//
+// The links are unsigned: the PSA fills in the merge fields when it sends the email, and the signature has to
+// cover those final values, so it cannot be computed here. They stop working once ALLOW_UNSIGNED_SURVEY_LINKS=false;
+// PSAs that can run a script when sending should add kid/ts/sig there instead (see email-templates.txt).
+
+const PSA_FIELDS = {
+    syncro: {
+        ticket_id: '{{id}}',
+        customer_email: '{{customer_business_then_primary_email}}',
+        customer_name: '{{customer_business_then_primary_name}}',
+        ticket_subject: '{{subject}}',
+        technician_name: '{{assigned_user}}',
+        company_name: '{{business_name}}',
+        completion_date: '{{updated_at}}',
+        priority: '{{priority}}',
+        category: '{{problem_type}}'
+    },
+    connectwise: {
+        ticket_id: '$ticket_number',
+        customer_email: '$contact_email',
+        customer_name: '$contact_name',
+        ticket_subject: '$summary',
+        technician_name: '$assigned_member',
+        company_name: '$company_name',
+        completion_date: '$date_closed',
+        priority: '$priority',
+        board: '$board_name'
+    },
+    autotask: {
+        ticket_id: '[TICKETNUMBER]',
+        customer_email: '[CONTACTEMAIL]',
+        customer_name: '[CONTACTFIRSTNAME] [CONTACTLASTNAME]',
+        ticket_subject: '[TICKETTITLE]',
+        technician_name: '[ASSIGNEDRESOURCENAME]',
+        company_name: '[ACCOUNTNAME]',
+        completion_date: '[COMPLETEDDATE]',
+        priority: '[PRIORITY]',
+        queue: '[QUEUENAME]'
+    },
+    kaseya: {
+        ticket_id: '$sd_ticket_id',
+        customer_email: '$enduser_email',
+        customer_name: '$enduser_fname $enduser_lname',
+        ticket_subject: '$sd_ticket_title',
+        technician_name: '$sd_ticket_assignee',
+        company_name: '$org_name',
+        completion_date: '$sd_ticket_close_date',
+        category: '$sd_ticket_category',
+        priority: '$sd_ticket_priority'
+    }
+};
+
+// Red to green, indexed by score position
+const SCORE_COLORS = ['#dc3545', '#fd7e14', '#ffc107', '#8bc34a', '#28a745'];
+
+function parseArgs(argv) {
+    const options = {
+        psa: argv[0],
+        scale: 5,
+        baseUrl: 'https://your-opencsat-domain.com/api/survey/create-and-redirect'
+    };
+
+    for (let i = 1; i < argv.length; i++) {
+        if (argv[i] === '--scale') {
+            options.scale = parseInt(argv[++i]);
+        } else if (argv[i] === '--base-url') {
+            options.baseUrl = argv[++i];
+        }
+    }
+
+    return options;
+}
+
+function scoreColor(value, scale) {
+    const index = scale === 1 ? SCORE_COLORS.length - 1 : Math.round((value - 1) / (scale - 1) * (SCORE_COLORS.length - 1));
+    return SCORE_COLORS[index];
+}
+
+// Merge fields are left unencoded so the PSA can substitute them
+function buildLink(baseUrl, fields, rating) {
+    const query = Object.entries({ ...fields, rating })
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+    return `${baseUrl}?${query}`;
+}
+
+function generateButtons({ psa, scale, baseUrl }) {
+    const fields = PSA_FIELDS[psa];
+    if (!fields) {
+        throw new Error(`Unknown PSA '${psa}'. Choose one of: ${Object.keys(PSA_FIELDS).join(', ')}`);
+    }
+    if (!Number.isInteger(scale) || scale < 2 || scale > 10) {
+        throw new Error('Scale must be a whole number between 2 and 10');
+    }
+
+    const cells = Array.from({ length: scale }, (_, i) => {
+        const value = i + 1;
+        return `            <td style="padding: 4px;">
+                <a href="${buildLink(baseUrl, fields, value)}"
+                   style="display: inline-block; width: 44px; height: 44px; line-height: 44px; background: ${scoreColor(value, scale)}; color: white; text-align: center; text-decoration: none; border-radius: 6px; font-weight: bold; font-size: 18px;">${value}</a>
+            </td>`;
+    }).join('\n');
+
+    return `<table role="presentation" style="margin: 20px auto; border-collapse: collapse;">
+    <tr>
+${cells}
+    </tr>
+    <tr>
+        <td colspan="${Math.floor(scale / 2)}" style="font-size: 12px; color: #666; text-align: left;">Very Poor</td>
+        <td colspan="${Math.ceil(scale / 2)}" style="font-size: 12px; color: #666; text-align: right;">Excellent</td>
+    </tr>
+</table>`;
+}
+
+if (require.main === module) {
+    try {
+        console.log(generateButtons(parseArgs(process.argv.slice(2))));
+        console.error('Note: these links are unsigned and are rejected when ALLOW_UNSIGNED_SURVEY_LINKS=false.');
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node generate-rating-buttons.js <syncro|connectwise|autotask|kaseya> [--scale 5] [--base-url URL]');
+        process.exit(1);
+    }
+}
+
+module.exports = { generateButtons, PSA_FIELDS };
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+// Local stand-in for the SyncroMSP and ConnectWise Manage APIs, for trying PSA write-back without a real PSA.
+// Prints every request it receives. Point the app at it with:
+//   SYNCRO_API_URL=http://localhost:4010/syncro SYNCRO_API_KEY=stub
+//   CONNECTWISE_API_URL=http://localhost:4010/connectwise CONNECTWISE_COMPANY_ID=stub CONNECTWISE_PUBLIC_KEY=stub
+//   CONNECTWISE_PRIVATE_KEY=stub CONNECTWISE_CLIENT_ID=stub
+// Usage: node psa-stub-server.js [--port 4010] [--fail N] [--status 503]
+//   --fail N      answer the first N note requests with --status (default 503) to exercise retries
+
+const http = require('http');
+
+const ROUTES = [
+    { method: 'POST', pattern: /^\/syncro\/tickets\/([^/]+)\/comment$/, psa: 'syncro' },
+    { method: 'POST', pattern: /^\/connectwise\/service\/tickets\/([^/]+)\/notes$/, psa: 'connectwise' }
+];
+
+function parseArgs(args) {
+    const options = { port: 4010, fail: 0, status: 503 };
+    for (let i = 0; i < args.length; i++) {
+        const value = Number(args[i + 1]);
+        if (!['--port', '--fail', '--status'].includes(args[i]) || !Number.isInteger(value)) {
+            throw new Error(`Unknown or incomplete option: ${args[i]}`);
+        }
+        options[args[i].slice(2)] = value;
+        i++;
+    }
+    return options;
+}
+
+// options.log replaces console.log, e.g. to collect the requests in tests
+function createStubServer(options) {
+    const log = options.log || console.log;
+    let failuresLeft = options.fail || 0;
+    let noteId = 0;
+
+    return http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const route = ROUTES.find(r => r.method === req.method && r.pattern.test(req.url));
+            const send = (status, data) => {
+                log(`${new Date().toISOString()} ${req.method} ${req.url} -> ${status}`);
+                if (body) log(`  ${body}`);
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+
+            if (!route) {
+                return send(404, { message: 'Not found' });
+            }
+            if (failuresLeft > 0) {
+                failuresLeft--;
+                return send(options.status || 503, { message: `Stub failure (${failuresLeft} left)` });
+            }
+
+            noteId++;
+            const ticketId = req.url.match(route.pattern)[1];
+            send(route.psa === 'syncro' ? 200 : 201, route.psa === 'syncro'
+                ? { comment: { id: noteId, ticket_id: Number(ticketId) || ticketId } }
+                : { id: noteId, ticketId: Number(ticketId) || ticketId });
+        });
+    });
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        createStubServer(options).listen(options.port, () => {
+            console.log(`PSA stub listening on http://localhost:${options.port} (syncro: /syncro, connectwise: /connectwise)`);
+        });
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node psa-stub-server.js [--port 4010] [--fail N] [--status 503]');
+        process.exit(1);
+    }
+}
+
+module.exports = { createStubServer };
@@ -21,7 +21,17 @@ class TeableSetup {
             'survey_responses',
             'system_config',
             'email_templates',
-            'webhook_logs'
+            'webhook_logs',
+            'branding_profiles',
+            'api_keys',
+            'survey_versions',
+            'webhook_subscriptions',
+            'webhook_deliveries',
+            'alert_rules',
+            'alert_notifications',
+            'followup_cases',
+            'email_sends',
+            'email_suppressions'
         ];
     }
 
@@ -238,6 +248,26 @@ class TeableSetup {
                     name: 'is_active',
                     type: 'checkbox'
                 });
+
+                await this.createFieldIfNotExists(tableIds.surveys, 'routing_rules', {
+                    name: 'routing_rules',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.surveys, 'rule_order', {
+                    name: 'rule_order',
+                    type: 'number'
+                });
+
+                await this.createFieldIfNotExists(tableIds.surveys, 'translations', {
+                    name: 'translations',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.surveys, 'current_version', {
+                    name: 'current_version',
+                    type: 'number'
+                });
             }
 
             if (tableIds.tickets) {
@@ -292,7 +322,14 @@ class TeableSetup {
                     options: {
                         choices: [
                             { name: 'rating' },
-                            { name: 'yes_no' }
+                            { name: 'yes_no' },
+                            { name: 'nps' },
+                            { name: 'ces' },
+                            { name: 'stars' },
+                            { name: 'emoji' },
+                            { name: 'choice' },
+                            { name: 'multi_choice' },
+                            { name: 'text' }
                         ]
                     }
                 });
@@ -322,6 +359,78 @@ class TeableSetup {
                     type: 'date'
                 });
 
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'viewed_at', {
+                    name: 'viewed_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'psa_source', {
+                    name: 'psa_source',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'writeback_status', {
+                    name: 'writeback_status',
+                    type: 'singleSelect',
+                    options: {
+                        choices: [
+                            { name: 'pending' },
+                            { name: 'delivered' },
+                            { name: 'failed' }
+                        ]
+                    }
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'writeback_attempts', {
+                    name: 'writeback_attempts',
+                    type: 'number'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'writeback_error', {
+                    name: 'writeback_error',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'writeback_next_at', {
+                    name: 'writeback_next_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'writeback_at', {
+                    name: 'writeback_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'followup_case_id', {
+                    name: 'followup_case_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'invitation_sent_at', {
+                    name: 'invitation_sent_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'reminder_count', {
+                    name: 'reminder_count',
+                    type: 'number'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'reminder_last_at', {
+                    name: 'reminder_last_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'reminder_history', {
+                    name: 'reminder_history',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'reminders_opt_out', {
+                    name: 'reminders_opt_out',
+                    type: 'checkbox'
+                });
+
                 await this.createFieldIfNotExists(tableIds.survey_responses, 'submitted_at', {
                     name: 'submitted_at',
                     type: 'date'
@@ -345,12 +454,23 @@ class TeableSetup {
                     type: 'singleLineText'
                 });
 
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'survey_id', {
+                    name: 'survey_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'survey_version', {
+                    name: 'survey_version',
+                    type: 'number'
+                });
+
                 await this.createFieldIfNotExists(tableIds.survey_responses, 'status', {
                     name: 'status',
                     type: 'singleSelect',
                     options: {
                         choices: [
                             { name: 'pending' },
+                            { name: 'partial' },
                             { name: 'completed' },
                             { name: 'expired' }
                         ]
@@ -417,6 +537,21 @@ class TeableSetup {
                     type: 'singleLineText'
                 });
 
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'locale', {
+                    name: 'locale',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'brand', {
+                    name: 'brand',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_responses, 'survey_url', {
+                    name: 'survey_url',
+                    type: 'singleLineText'
+                });
+
                 await this.createFieldIfNotExists(tableIds.survey_responses, 'submitted_at', {
                     name: 'submitted_at',
                     type: 'date'
@@ -478,6 +613,11 @@ class TeableSetup {
                     type: 'singleLineText'
                 });
 
+                await this.createFieldIfNotExists(tableIds.webhook_logs, 'delivery_id', {
+                    name: 'delivery_id',
+                    type: 'singleLineText'
+                });
+
                 await this.createFieldIfNotExists(tableIds.webhook_logs, 'payload', {
                     name: 'payload',
                     type: 'longText'
@@ -499,6 +639,552 @@ class TeableSetup {
                 });
             }
 
+            if (tableIds.branding_profiles) {
+                console.log('Setting up branding_profiles table...');
+
+                await this.createFieldIfNotExists(tableIds.branding_profiles, 'company_name', {
+                    name: 'company_name',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.branding_profiles, 'display_name', {
+                    name: 'display_name',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.branding_profiles, 'logo_url', {
+                    name: 'logo_url',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.branding_profiles, 'primary_color', {
+                    name: 'primary_color',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.branding_profiles, 'secondary_color', {
+                    name: 'secondary_color',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.branding_profiles, 'footer_text', {
+                    name: 'footer_text',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.branding_profiles, 'thank_you_message', {
+                    name: 'thank_you_message',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.branding_profiles, 'is_default', {
+                    name: 'is_default',
+                    type: 'checkbox'
+                });
+
+                await this.createFieldIfNotExists(tableIds.branding_profiles, 'is_active', {
+                    name: 'is_active',
+                    type: 'checkbox'
+                });
+            }
+
+            if (tableIds.api_keys) {
+                console.log('Setting up api_keys table...');
+
+                await this.createFieldIfNotExists(tableIds.api_keys, 'role', {
+                    name: 'role',
+                    type: 'singleSelect',
+                    options: {
+                        choices: [
+                            { name: 'admin' },
+                            { name: 'reporting' },
+                            { name: 'integration' }
+                        ]
+                    }
+                });
+
+                await this.createFieldIfNotExists(tableIds.api_keys, 'key_hash', {
+                    name: 'key_hash',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.api_keys, 'key_prefix', {
+                    name: 'key_prefix',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.api_keys, 'is_active', {
+                    name: 'is_active',
+                    type: 'checkbox'
+                });
+
+                await this.createFieldIfNotExists(tableIds.api_keys, 'last_used_at', {
+                    name: 'last_used_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.api_keys, 'created_at', {
+                    name: 'created_at',
+                    type: 'createdTime'
+                });
+            }
+
+            if (tableIds.survey_versions) {
+                console.log('Setting up survey_versions table...');
+
+                await this.createFieldIfNotExists(tableIds.survey_versions, 'survey_id', {
+                    name: 'survey_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_versions, 'version', {
+                    name: 'version',
+                    type: 'number'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_versions, 'status', {
+                    name: 'status',
+                    type: 'singleSelect',
+                    options: {
+                        choices: [
+                            { name: 'draft' },
+                            { name: 'published' }
+                        ]
+                    }
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_versions, 'title', {
+                    name: 'title',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_versions, 'description', {
+                    name: 'description',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_versions, 'questions', {
+                    name: 'questions',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_versions, 'translations', {
+                    name: 'translations',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_versions, 'published_at', {
+                    name: 'published_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.survey_versions, 'created_at', {
+                    name: 'created_at',
+                    type: 'createdTime'
+                });
+            }
+
+            if (tableIds.webhook_subscriptions) {
+                console.log('Setting up webhook_subscriptions table...');
+
+                await this.createFieldIfNotExists(tableIds.webhook_subscriptions, 'url', {
+                    name: 'url',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_subscriptions, 'events', {
+                    name: 'events',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_subscriptions, 'secret', {
+                    name: 'secret',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_subscriptions, 'is_active', {
+                    name: 'is_active',
+                    type: 'checkbox'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_subscriptions, 'created_at', {
+                    name: 'created_at',
+                    type: 'createdTime'
+                });
+            }
+
+            if (tableIds.webhook_deliveries) {
+                console.log('Setting up webhook_deliveries table...');
+
+                await this.createFieldIfNotExists(tableIds.webhook_deliveries, 'subscription_id', {
+                    name: 'subscription_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_deliveries, 'event', {
+                    name: 'event',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_deliveries, 'event_id', {
+                    name: 'event_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_deliveries, 'payload', {
+                    name: 'payload',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_deliveries, 'status', {
+                    name: 'status',
+                    type: 'singleSelect',
+                    options: {
+                        choices: [
+                            { name: 'pending' },
+                            { name: 'delivered' },
+                            { name: 'failed' }
+                        ]
+                    }
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_deliveries, 'attempts', {
+                    name: 'attempts',
+                    type: 'number'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_deliveries, 'response_status', {
+                    name: 'response_status',
+                    type: 'number'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_deliveries, 'error_message', {
+                    name: 'error_message',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_deliveries, 'next_attempt_at', {
+                    name: 'next_attempt_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_deliveries, 'delivered_at', {
+                    name: 'delivered_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.webhook_deliveries, 'created_at', {
+                    name: 'created_at',
+                    type: 'createdTime'
+                });
+            }
+
+            if (tableIds.alert_rules) {
+                console.log('Setting up alert_rules table...');
+
+                await this.createFieldIfNotExists(tableIds.alert_rules, 'condition', {
+                    name: 'condition',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_rules, 'companies', {
+                    name: 'companies',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_rules, 'channel', {
+                    name: 'channel',
+                    type: 'singleSelect',
+                    options: {
+                        choices: [
+                            { name: 'slack' },
+                            { name: 'teams' }
+                        ]
+                    }
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_rules, 'webhook_url', {
+                    name: 'webhook_url',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_rules, 'quiet_hours', {
+                    name: 'quiet_hours',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_rules, 'timezone', {
+                    name: 'timezone',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_rules, 'is_active', {
+                    name: 'is_active',
+                    type: 'checkbox'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_rules, 'created_at', {
+                    name: 'created_at',
+                    type: 'createdTime'
+                });
+            }
+
+            if (tableIds.alert_notifications) {
+                console.log('Setting up alert_notifications table...');
+
+                await this.createFieldIfNotExists(tableIds.alert_notifications, 'rule_id', {
+                    name: 'rule_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_notifications, 'survey_response_id', {
+                    name: 'survey_response_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_notifications, 'status', {
+                    name: 'status',
+                    type: 'singleSelect',
+                    options: {
+                        choices: [
+                            { name: 'queued' },
+                            { name: 'sent' },
+                            { name: 'failed' }
+                        ]
+                    }
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_notifications, 'payload', {
+                    name: 'payload',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_notifications, 'send_after', {
+                    name: 'send_after',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_notifications, 'attempts', {
+                    name: 'attempts',
+                    type: 'number'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_notifications, 'error_message', {
+                    name: 'error_message',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_notifications, 'sent_at', {
+                    name: 'sent_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.alert_notifications, 'created_at', {
+                    name: 'created_at',
+                    type: 'createdTime'
+                });
+            }
+
+            if (tableIds.followup_cases) {
+                console.log('Setting up followup_cases table...');
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'survey_response_id', {
+                    name: 'survey_response_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'ticket_external_id', {
+                    name: 'ticket_external_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'customer_name', {
+                    name: 'customer_name',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'company_name', {
+                    name: 'company_name',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'technician_name', {
+                    name: 'technician_name',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'overall_rating', {
+                    name: 'overall_rating',
+                    type: 'number'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'comments', {
+                    name: 'comments',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'owner', {
+                    name: 'owner',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'status', {
+                    name: 'status',
+                    type: 'singleSelect',
+                    options: {
+                        choices: [
+                            { name: 'open' },
+                            { name: 'contacted' },
+                            { name: 'resolved' }
+                        ]
+                    }
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'notes', {
+                    name: 'notes',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'due_at', {
+                    name: 'due_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'contacted_at', {
+                    name: 'contacted_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'resolved_at', {
+                    name: 'resolved_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'sla_breached', {
+                    name: 'sla_breached',
+                    type: 'checkbox'
+                });
+
+                await this.createFieldIfNotExists(tableIds.followup_cases, 'created_at', {
+                    name: 'created_at',
+                    type: 'date'
+                });
+            }
+
+            if (tableIds.email_sends) {
+                console.log('Setting up email_sends table...');
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'survey_response_id', {
+                    name: 'survey_response_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'ticket_external_id', {
+                    name: 'ticket_external_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'to', {
+                    name: 'to',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'kind', {
+                    name: 'kind',
+                    type: 'singleSelect',
+                    options: {
+                        choices: [
+                            { name: 'invitation' },
+                            { name: 'reminder' }
+                        ]
+                    }
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'template', {
+                    name: 'template',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'subject', {
+                    name: 'subject',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'status', {
+                    name: 'status',
+                    type: 'singleSelect',
+                    options: {
+                        choices: [
+                            { name: 'queued' },
+                            { name: 'sent' },
+                            { name: 'failed' },
+                            { name: 'bounced' },
+                            { name: 'suppressed' }
+                        ]
+                    }
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'attempts', {
+                    name: 'attempts',
+                    type: 'number'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'message_id', {
+                    name: 'message_id',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'error_message', {
+                    name: 'error_message',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'next_attempt_at', {
+                    name: 'next_attempt_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'sent_at', {
+                    name: 'sent_at',
+                    type: 'date'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_sends, 'created_at', {
+                    name: 'created_at',
+                    type: 'date'
+                });
+            }
+
+            if (tableIds.email_suppressions) {
+                console.log('Setting up email_suppressions table...');
+
+                await this.createFieldIfNotExists(tableIds.email_suppressions, 'email', {
+                    name: 'email',
+                    type: 'singleLineText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_suppressions, 'reason', {
+                    name: 'reason',
+                    type: 'longText'
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_suppressions, 'source', {
+                    name: 'source',
+                    type: 'singleSelect',
+                    options: {
+                        choices: [
+                            { name: 'smtp' },
+                            { name: 'report' }
+                        ]
+                    }
+                });
+
+                await this.createFieldIfNotExists(tableIds.email_suppressions, 'created_at', {
+                    name: 'created_at',
+                    type: 'date'
+                });
+            }
+
             console.log('Basic fields setup complete');
         } catch (error) {
             console.log('Some fields may already exist or failed to create:', error.message);
@@ -572,15 +1258,36 @@ class TeableSetup {
         console.log('Cleaning up unused default fields...');
         
         const requiredFields = {
-            'surveys': ['Name', 'description', 'questions', 'is_active'],
+            'surveys': ['Name', 'description', 'questions', 'is_active', 'routing_rules', 'rule_order', 'translations', 'current_version'],
             'tickets': ['Name', 'external_id', 'customer_email', 'customer_name', 'subject', 'status', 'closed_at'],
             'survey_questions': ['id', 'text', 'answer_type'],
-            'survey_responses': ['Name', 'token', 'status', 'responses', 'overall_rating', 'comments', 'ticket_external_id', 
+            'survey_responses': ['Name', 'token', 'survey_id', 'survey_version', 'status', 'responses', 'overall_rating', 'comments', 'ticket_external_id', 
                                'customer_email', 'customer_name', 'ticket_subject', 'technician_name', 'company_name', 
-                               'completion_date', 'priority', 'category', 'submitted_at', 'expires_at', 'created_at'],
+                               'completion_date', 'priority', 'category', 'locale', 'brand', 'survey_url', 'viewed_at', 'psa_source',
+                               'writeback_status', 'writeback_attempts', 'writeback_error', 'writeback_next_at', 'writeback_at',
+                               'followup_case_id', 'invitation_sent_at', 'reminder_count', 'reminder_last_at', 'reminder_history',
+                               'reminders_opt_out', 'submitted_at', 'expires_at', 'created_at'],
             'system_config': ['Name', 'value', 'description'],
             'email_templates': ['Name', 'subject', 'body', 'is_active'],
-            'webhook_logs': ['Name', 'source', 'event_type', 'payload', 'processed', 'error_message', 'created_at']
+            'webhook_logs': ['Name', 'source', 'event_type', 'delivery_id', 'payload', 'processed', 'error_message', 'created_at'],
+            'branding_profiles': ['Name', 'company_name', 'display_name', 'logo_url', 'primary_color', 'secondary_color',
+                                'footer_text', 'thank_you_message', 'is_default', 'is_active'],
+            'api_keys': ['Name', 'role', 'key_hash', 'key_prefix', 'is_active', 'last_used_at', 'created_at'],
+            'survey_versions': ['Name', 'survey_id', 'version', 'status', 'title', 'description', 'questions', 'translations',
+                              'published_at', 'created_at'],
+            'webhook_subscriptions': ['Name', 'url', 'events', 'secret', 'is_active', 'created_at'],
+            'webhook_deliveries': ['Name', 'subscription_id', 'event', 'event_id', 'payload', 'status', 'attempts',
+                                 'response_status', 'error_message', 'next_attempt_at', 'delivered_at', 'created_at'],
+            'alert_rules': ['Name', 'condition', 'companies', 'channel', 'webhook_url', 'quiet_hours', 'timezone',
+                          'is_active', 'created_at'],
+            'alert_notifications': ['Name', 'rule_id', 'survey_response_id', 'status', 'payload', 'send_after',
+                                  'attempts', 'error_message', 'sent_at', 'created_at'],
+            'followup_cases': ['Name', 'survey_response_id', 'ticket_external_id', 'customer_name', 'company_name',
+                             'technician_name', 'overall_rating', 'comments', 'owner', 'status', 'notes', 'due_at',
+                             'contacted_at', 'resolved_at', 'sla_breached', 'created_at'],
+            'email_sends': ['Name', 'survey_response_id', 'ticket_external_id', 'to', 'kind', 'template', 'subject', 'status',
+                          'attempts', 'message_id', 'error_message', 'next_attempt_at', 'sent_at', 'created_at'],
+            'email_suppressions': ['Name', 'email', 'reason', 'source', 'created_at']
         };
         
         try {
@@ -664,28 +1371,32 @@ class TeableSetup {
                         type: 'rating',
                         question: 'How satisfied are you with the resolution of your support request?',
                         scale: 5,
-                        required: true
+                        required: true,
+                        scored: true
                     },
                     {
                         id: 'response_time',
                         type: 'rating',
                         question: 'How satisfied are you with the response time?',
                         scale: 5,
-                        required: true
+                        required: true,
+                        scored: true
                     },
                     {
                         id: 'technical_quality',
                         type: 'rating',
                         question: 'How satisfied are you with the technical quality of the solution?',
                         scale: 5,
-                        required: true
+                        required: true,
+                        scored: true
                     },
                     {
                         id: 'communication',
                         type: 'rating',
                         question: 'How satisfied are you with the communication throughout the process?',
                         scale: 5,
-                        required: true
+                        required: true,
+                        scored: true
                     },
                     {
                         id: 'additional_comments',
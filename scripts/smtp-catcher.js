@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+// Minimal local SMTP server that accepts mail and prints it, for trying survey emails without a real mail server.
+// Point the app at it with:
+//   SMTP_HOST=localhost SMTP_PORT=2525 SMTP_FROM="Support <support@example.com>"
+// Usage: node smtp-catcher.js [--port 2525] [--reject address]... [--tempfail N]
+//   --reject address  answer RCPT TO for this address with 550, like a mailbox that does not exist
+//   --tempfail N      answer the first N messages with 451 to exercise retries
+
+const net = require('net');
+
+function parseArgs(args) {
+    const options = { port: 2525, reject: [], tempfail: 0 };
+    for (let i = 0; i < args.length; i += 2) {
+        const value = args[i + 1];
+        if (value === undefined) {
+            throw new Error(`Missing value for ${args[i]}`);
+        }
+        if (args[i] === '--reject') {
+            options.reject.push(value.toLowerCase());
+        } else if (['--port', '--tempfail'].includes(args[i]) && Number.isInteger(Number(value))) {
+            options[args[i].slice(2)] = Number(value);
+        } else {
+            throw new Error(`Unknown or incomplete option: ${args[i]}`);
+        }
+    }
+    return options;
+}
+
+function addressOf(line) {
+    const match = /<([^>]*)>/.exec(line);
+    return (match ? match[1] : line.split(':').slice(1).join(':')).trim().toLowerCase();
+}
+
+// options.log replaces console.log, e.g. to collect the messages in tests
+function createCatcher(options = {}) {
+    const reject = options.reject || [];
+    const log = options.log || console.log;
+    let failuresLeft = options.tempfail || 0;
+    let messageCount = 0;
+
+    return net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        let envelope = { from: '', to: [] };
+        let data = [];
+
+        const reply = line => socket.write(`${line}\r\n`);
+
+        const handleLine = line => {
+            if (inData) {
+                if (line !== '.') {
+                    data.push(line.startsWith('..') ? line.slice(1) : line);
+                    return;
+                }
+                inData = false;
+                messageCount++;
+                log(`\n=== Message ${messageCount} ${new Date().toISOString()} ===`);
+                log(`Envelope from: ${envelope.from}`);
+                log(`Envelope to: ${envelope.to.join(', ')}`);
+                log(data.join('\n'));
+                envelope = { from: '', to: [] };
+                data = [];
+                return reply(`250 2.0.0 Ok: queued as catcher-${messageCount}`);
+            }
+
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO') {
+                socket.write('250-smtp-catcher\r\n250 8BITMIME\r\n');
+            } else if (command === 'HELO') {
+                reply('250 smtp-catcher');
+            } else if (command === 'MAIL') {
+                if (failuresLeft > 0) {
+                    failuresLeft--;
+                    log(`Temporary failure for ${addressOf(line)} (${failuresLeft} left)`);
+                    return reply('451 4.3.0 Temporary failure, try again later');
+                }
+                envelope = { from: addressOf(line), to: [] };
+                reply('250 2.1.0 Ok');
+            } else if (command === 'RCPT') {
+                const address = addressOf(line);
+                if (reject.includes(address)) {
+                    log(`Rejected recipient ${address}`);
+                    return reply('550 5.1.1 Mailbox does not exist');
+                }
+                envelope.to.push(address);
+                reply('250 2.1.5 Ok');
+            } else if (command === 'DATA') {
+                if (envelope.to.length === 0) return reply('503 5.5.1 No valid recipients');
+                inData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (command === 'RSET') {
+                envelope = { from: '', to: [] };
+                reply('250 2.0.0 Ok');
+            } else if (command === 'NOOP') {
+                reply('250 2.0.0 Ok');
+            } else if (command === 'QUIT') {
+                reply('221 2.0.0 Bye');
+                socket.end();
+            } else {
+                reply('502 5.5.2 Command not implemented');
+            }
+        };
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                handleLine(line);
+            }
+        });
+        socket.on('error', () => {});
+
+        reply('220 smtp-catcher ESMTP');
+    });
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        createCatcher(options).listen(options.port, () => {
+            console.log(`SMTP catcher listening on localhost:${options.port}`);
+        });
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node smtp-catcher.js [--port 2525] [--reject address]... [--tempfail N]');
+        process.exit(1);
+    }
+}
+
+module.exports = { createCatcher };
@@ -413,7 +413,7 @@ test_system() {
     print_info "Testing health endpoint..."
     
     local health_response
-    health_response=$(curl -s "${APP_URL}/health" 2>/dev/null)
+    health_response=$(curl -s ${OPENCSAT_API_KEY:+-H "X-API-Key: $OPENCSAT_API_KEY"} "${APP_URL}/health" 2>/dev/null)
     
     if [ $? -eq 0 ] && echo "$health_response" | grep -q '"status":"ok"'; then
         print_success "Health check passed!"
@@ -578,10 +578,14 @@ case "${1:-setup}" in
         if command -v curl >/dev/null 2>&1; then
             echo
             print_info "=== Health Status ==="
-            curl -s "${APP_URL:-http://localhost:8080}/health" | jq . 2>/dev/null || curl -s "${APP_URL:-http://localhost:8080}/health"
+            curl -s ${OPENCSAT_API_KEY:+-H "X-API-Key: $OPENCSAT_API_KEY"} "${APP_URL:-http://localhost:8080}/health" | jq . 2>/dev/null || curl -s "${APP_URL:-http://localhost:8080}/health"
             echo
             print_info "=== Metrics Summary ==="
-            curl -s "${APP_URL:-http://localhost:8080}/metrics" | jq '.metrics | keys' 2>/dev/null || echo "Metrics endpoint available at ${APP_URL:-http://localhost:8080}/metrics"
+            if [ -n "$OPENCSAT_API_KEY" ]; then
+                curl -s -H "X-API-Key: $OPENCSAT_API_KEY" "${APP_URL:-http://localhost:8080}/metrics" | jq '.metrics | keys' 2>/dev/null || echo "Metrics endpoint available at ${APP_URL:-http://localhost:8080}/metrics"
+            else
+                print_info "Set OPENCSAT_API_KEY to an admin API key in .env to see health details and metrics"
+            fi
         else
             print_warning "curl not found, cannot check health endpoint"
             print_info "Install curl or check manually: ${APP_URL:-http://localhost:8080}/health"